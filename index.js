@@ -18,7 +18,8 @@
 const {
   useAsyncAction, useDropdownData, useDropdownToggle, useEditForm,
   useIsMobile, useToast, useToastAction, useAdvancedToast, useAuthRedirect,
-  usePageFocus, useSocket, createDropdownListHook, LazyImagePreview,
+  usePageFocus, useSocket, useSocketEvent, useSocketStatus, usePaymentSocket, usePresence, socketManager, createSocketManager,
+  createDropdownListHook, LazyImagePreview,
   useApiKeyPref,
   showToast, toastSuccess, toastError, toast, advancedToast, showSuccessToast, showErrorToast, showInfoToast, showWarningToast,
   executeWithErrorToast, executeWithToastFeedback, stopEvent, 
@@ -26,9 +27,15 @@ const {
   handleApiError, handle401Error, cn,
   formValidation, executeWithErrorHandling, executeWithLoadingState,
   isFunction, isObject, isAxiosErrorWithStatus,
-  axiosClient, queryClient, createSubTrigger, createContextMenuSubTrigger, createMenubarSubTrigger,
+  axiosClient, queryClient, createApiClient, addApiMiddleware, createAuthMiddleware, ApiError, isApiError, mockServer, createMockServer,
+  ValidationError, isValidationError, SocketError, isSocketError, validateResponse,
+  DEFAULT_RETRY_POLICY, computeBackoff, parseRetryAfter, registerUrlBuilder, queryKeyToUrl, stableQueryString, createResource,
+  applyOptimisticUpdate, rollbackOptimisticUpdate, settleOptimisticUpdate, usePaginatedQuery, useInfiniteList, defaultPageAdapter,
+  uploadFile, useUpload, requestCache, enableOfflineQueue, createOfflineQueue, useOfflineQueue,
+  createMemoryStorage, createLocalStorage, createIndexedDBStorage, resolveStorage, persistQueryClient, dehydrateCache, hydrateCache,
+  graphqlRequest, useGraphQLQuery, useGraphQLMutation, graphqlKey, useEventSource, applyEventToCache, bindSocketToCache, createSubTrigger, createContextMenuSubTrigger, createMenubarSubTrigger,
   useForm, useFormSubmission, FormField, TextInputField, TextareaField, SelectField, CheckboxField,
-  getAdvancedToastCount, clearAllAdvancedToasts, getAdvancedToastTimeoutCount, clearToastTimeout, toastSubscribe, toastGetState, toastReducer, toastActionTypes,
+  getAdvancedToastCount, getQueuedToastCount, configureToasts, promiseToast, pauseToast, resumeToast, clearAllAdvancedToasts, getAdvancedToastTimeoutCount, clearToastTimeout, toastSubscribe, toastGetState, toastReducer, toastActionTypes,
   toastDispatch, showSuccess, showError, showInfo, showWarning,
   logger, log, logDebug, logError, logWarning, logHookEvent,
   parseVitestResults, useClipboard, useClipboardWithCallbacks, makeCopyFn, copyToClipboard
@@ -53,7 +60,7 @@ module.exports = {
   // Hooks
   useAsyncAction, useDropdownData, useDropdownToggle, useEditForm,
   useIsMobile, useToast, useToastAction, useAdvancedToast, useAuthRedirect,
-  usePageFocus, useSocket, createDropdownListHook, useClipboard, useClipboardWithCallbacks,
+  usePageFocus, useSocket, useSocketEvent, useSocketStatus, usePaymentSocket, usePresence, socketManager, createSocketManager, useEventSource, createDropdownListHook, useClipboard, useClipboardWithCallbacks,
   useApiKeyPref,
 
   // Components
@@ -66,11 +73,22 @@ module.exports = {
   // Toast Utilities
   toast, showToast, toastSuccess, toastError, advancedToast, showSuccessToast, showErrorToast, showInfoToast, showWarningToast,
   executeWithErrorToast, executeWithToastFeedback, 
-  getAdvancedToastCount, clearAllAdvancedToasts, getAdvancedToastTimeoutCount, clearToastTimeout, toastSubscribe, toastGetState, toastReducer, toastActionTypes,
+  getAdvancedToastCount, getQueuedToastCount, configureToasts, promiseToast, pauseToast, resumeToast, clearAllAdvancedToasts, getAdvancedToastTimeoutCount, clearToastTimeout, toastSubscribe, toastGetState, toastReducer, toastActionTypes,
   toastDispatch, showSuccess, showError, showInfo, showWarning,
 
   // API and Network Utilities
-  apiRequest, getQueryFn, formatAxiosError, axiosClient, queryClient,
+  apiRequest, getQueryFn, formatAxiosError, axiosClient, queryClient, createApiClient,
+  addApiMiddleware, createAuthMiddleware, ApiError, isApiError, mockServer, createMockServer,
+  ValidationError, isValidationError, SocketError, isSocketError, validateResponse,
+  DEFAULT_RETRY_POLICY, computeBackoff, parseRetryAfter,
+  registerUrlBuilder, queryKeyToUrl, stableQueryString, createResource,
+  applyOptimisticUpdate, rollbackOptimisticUpdate, settleOptimisticUpdate,
+  usePaginatedQuery, useInfiniteList, defaultPageAdapter,
+  uploadFile, useUpload, requestCache,
+  enableOfflineQueue, createOfflineQueue, useOfflineQueue,
+  createMemoryStorage, createLocalStorage, createIndexedDBStorage, resolveStorage,
+  persistQueryClient, dehydrateCache, hydrateCache,
+  graphqlRequest, useGraphQLQuery, useGraphQLMutation, graphqlKey, applyEventToCache, bindSocketToCache,
   handleApiError, handle401Error,
 
   // General Utilities
@@ -5,14 +5,51 @@
  * state management, action dispatching, and proper lifecycle handling.
  * Features include toast queuing, automatic removal, update capabilities,
  * and listener management for real-time UI updates.
+ *
+ * At most `limit` toasts are open at once. Further toasts wait in
+ * `state.queue`, ordered by priority and then arrival, and are shown as
+ * open toasts are dismissed. Error toasts get a higher default priority so
+ * they jump ahead of queued info toasts instead of being dropped.
+ *
+ * Open toasts dismiss themselves after their `duration` (per toast, else a
+ * per-variant default; `Infinity` keeps them until dismissed). The timer
+ * starts when a toast opens, not while it is queued, and can be paused
+ * while the user hovers or focuses it.
+ *
+ * `toast.promise` shows a sticky loading toast for a pending operation and
+ * updates that same toast to its success or error state when it settles.
  */
 
 const React = require('react'); // React hooks for state management
 const { useState, useEffect } = React;
 // Toast configuration constants
-const TOAST_LIMIT = 5; // maximum number of toasts to display
+const TOAST_LIMIT = 5; // default maximum number of open toasts, see configureToasts
 const TOAST_REMOVE_DELAY = 1000; // delay before removing dismissed toast (ms)
 
+/**
+ * Default auto-dismiss duration per variant (ms)
+ * `default` applies to variants without an entry; errors stay longer so they can be read.
+ */
+const DEFAULT_TOAST_DURATIONS = {
+  default: 5000,
+  warning: 7000,
+  destructive: 10000,
+  error: 10000,
+};
+
+// App level settings changed through configureToasts
+let toastDurations = { ...DEFAULT_TOAST_DURATIONS };
+
+/**
+ * Default priority per variant
+ * Higher numbers leave the queue first; toasts may set `priority` directly.
+ */
+const TOAST_PRIORITIES = {
+  destructive: 2, // errors must not wait behind routine messages
+  error: 2,
+  warning: 1,
+};
+
 /**
  * Action types for toast state management
  * Defines all possible actions that can be dispatched to modify toast state
@@ -22,6 +59,7 @@ const actionTypes = {
   UPDATE_TOAST: "UPDATE_TOAST", 
   DISMISS_TOAST: "DISMISS_TOAST",
   REMOVE_TOAST: "REMOVE_TOAST",
+  CONFIGURE_TOASTS: "CONFIGURE_TOASTS",
 };
 
 // ID generation using counter for predictable, sequential IDs
@@ -39,72 +77,183 @@ function genId() {
   return idCounter.toString()
 }
 
-// Map to track toast removal timeouts
+// Map to track the next timed step of each toast:
+// { kind: "dismiss", timer, remaining, startedAt, paused } while open, { kind: "remove", timer } after dismissal
 const toastTimeouts = new Map();
 
 /**
  * Add toast to removal queue with delayed removal
  * Manages the lifecycle of dismissed toasts by scheduling their removal
- * after a delay to allow for exit animations.
+ * after a delay to allow for exit animations. A pending auto-dismiss
+ * timer is replaced, since the toast is already closing.
  * 
  * @param {string} toastId - ID of toast to queue for removal
  */
 function addToRemoveQueue(toastId) {
-  if (toastTimeouts.has(toastId)) return
+  const existing = toastTimeouts.get(toastId)
+  if (existing && existing.kind === "remove") return
+  if (existing) clearTimeout(existing.timer)
   
   const timeout = setTimeout(() => {
     toastTimeouts.delete(toastId)
     dispatch({ type: "REMOVE_TOAST", toastId })
   }, TOAST_REMOVE_DELAY)
   
-  toastTimeouts.set(toastId, timeout)
+  toastTimeouts.set(toastId, { kind: "remove", timer: timeout })
 }
 
 /**
  * Clear toast timeout and remove from queue
- * Allows manual cancellation of scheduled toast removal.
+ * Allows manual cancellation of scheduled toast removal or auto-dismissal.
  * Useful for immediate toast dismissal without waiting for timeout.
  * 
  * @param {string} toastId - ID of toast to clear timeout for
  */
 function clearToastTimeout(toastId) {
-  const timeout = toastTimeouts.get(toastId);
-  if (timeout) {
-    clearTimeout(timeout);
+  const entry = toastTimeouts.get(toastId);
+  if (entry) {
+    clearTimeout(entry.timer);
     toastTimeouts.delete(toastId);
   }
 };
 
+/**
+ * Resolve how long a toast stays open
+ * 
+ * @param {Object} toast - Toast properties
+ * @returns {number} Duration in ms; Infinity for sticky toasts
+ */
+function getToastDuration(toast) {
+  if (toast.duration !== undefined) return toast.duration
+  return toastDurations[toast.variant] ?? toastDurations.default
+}
+
+/**
+ * Start or restart the auto-dismiss timer of an open toast
+ * 
+ * @param {string} toastId - ID of the toast
+ * @param {number} duration - Time left in ms
+ */
+function scheduleDismiss(toastId, duration) {
+  if (!(duration < Infinity)) return // sticky toasts wait for dismiss()
+  const timer = setTimeout(() => {
+    toastTimeouts.delete(toastId)
+    dismissToast(toastId)
+  }, duration)
+  toastTimeouts.set(toastId, { kind: "dismiss", timer, remaining: duration, startedAt: Date.now(), paused: false })
+}
+
+/**
+ * Give newly opened toasts their auto-dismiss timer
+ * Runs after every dispatch so toasts promoted from the queue start counting
+ * only once they are visible.
+ */
+function syncDismissTimers() {
+  memoryState.toasts.forEach((t) => {
+    if (t.open === false || toastTimeouts.has(t.id)) return
+    scheduleDismiss(t.id, getToastDuration(t))
+  })
+}
+
+/**
+ * Pause auto-dismissal, e.g. while a toast is hovered or focused
+ * 
+ * @param {string} [toastId] - Toast to pause; pauses every open toast when omitted
+ */
+function pauseToast(toastId) {
+  toastTimeouts.forEach((entry, id) => {
+    if (entry.kind !== "dismiss" || entry.paused || (toastId !== undefined && id !== toastId)) return
+    clearTimeout(entry.timer)
+    toastTimeouts.set(id, { ...entry, timer: null, paused: true, remaining: Math.max(0, entry.remaining - (Date.now() - entry.startedAt)) })
+  })
+}
+
+/**
+ * Resume auto-dismissal with the time that was left when pausing
+ * 
+ * @param {string} [toastId] - Toast to resume; resumes every paused toast when omitted
+ */
+function resumeToast(toastId) {
+  toastTimeouts.forEach((entry, id) => {
+    if (entry.kind !== "dismiss" || !entry.paused || (toastId !== undefined && id !== toastId)) return
+    scheduleDismiss(id, entry.remaining)
+  })
+}
+
+/**
+ * Resolve the queue priority of a toast
+ * 
+ * @param {Object} toast - Toast properties
+ * @returns {number} Explicit priority, else the variant default, else 0
+ */
+function getToastPriority(toast) {
+  if (typeof toast.priority === "number") return toast.priority
+  return TOAST_PRIORITIES[toast.variant] ?? 0
+}
+
+/**
+ * Insert a toast into the waiting queue
+ * Keeps the queue sorted by priority; equal priorities stay first in, first out.
+ * 
+ * @param {Array} queue - Waiting toasts
+ * @param {Object} toast - Toast to enqueue
+ * @returns {Array} New queue
+ */
+function enqueueToast(queue, toast) {
+  const priority = getToastPriority(toast)
+  const index = queue.findIndex((t) => getToastPriority(t) < priority)
+  return index === -1 ? [...queue, toast] : [...queue.slice(0, index), toast, ...queue.slice(index)]
+}
+
+/**
+ * Move queued toasts into free slots
+ * Dismissed toasts still in `toasts` for their exit animation do not take a slot.
+ * 
+ * @param {Object} state - Toast state after an action
+ * @returns {Object} State with as many open toasts as the limit allows
+ */
+function fillSlots(state) {
+  const limit = state.limit ?? TOAST_LIMIT
+  const queue = state.queue || []
+  const free = limit - state.toasts.filter((t) => t.open !== false).length
+  if (free <= 0 || queue.length === 0) return state
+  const shown = queue.slice(0, free)
+  return { ...state, toasts: [...shown.reverse(), ...state.toasts], queue: queue.slice(free) } // newest first, like ADD_TOAST
+}
+
 /**
  * Toast state reducer
  * Handles all toast state transitions based on dispatched actions.
  * Manages toast addition, updates, dismissal, and removal while
- * maintaining proper state immutability.
+ * maintaining proper state immutability. Toasts over the limit wait in
+ * `queue` and are promoted after every action that frees a slot.
  * 
  * @param {Object} state - Current toast state
  * @param {Object} action - Action object with type and payload
  * @returns {Object} New toast state
  */
 const reducer = (state, action) => {
+  const queue = state.queue || [] // states built before the queue existed
   switch (action.type) {
     case "ADD_TOAST":
-      return {
+      return fillSlots({
         ...state,
-        toasts: [action.toast, ...state.toasts].slice(0, TOAST_LIMIT),
-      };
+        queue: enqueueToast(queue, action.toast),
+      });
 
-    case "UPDATE_TOAST":
+    case "UPDATE_TOAST": {
+      const merge = (t) => (t.id === action.toast.id ? { ...t, ...action.toast } : t)
       return {
         ...state,
-        toasts: state.toasts.map((t) =>
-          t.id === action.toast.id ? { ...t, ...action.toast } : t
-        ),
+        toasts: state.toasts.map(merge),
+        queue: queue.map(merge), // queued toasts show their latest content
       };
+    }
 
     case "DISMISS_TOAST": {
       const { toastId } = action;
 
-      return {
+      return fillSlots({
         ...state,
         toasts: state.toasts.map((t) =>
           t.id === toastId || toastId === undefined
@@ -114,7 +263,8 @@ const reducer = (state, action) => {
               }
             : t
         ),
-      };
+        queue: toastId === undefined ? [] : queue.filter((t) => t.id !== toastId), // never shown, nothing to animate
+      });
     }
     
     case "REMOVE_TOAST":
@@ -122,12 +272,20 @@ const reducer = (state, action) => {
         return {
           ...state,
           toasts: [],
+          queue: [],
         };
       }
-      return {
+      return fillSlots({
         ...state,
         toasts: state.toasts.filter((t) => t.id !== action.toastId),
-      };
+        queue: queue.filter((t) => t.id !== action.toastId),
+      });
+
+    case "CONFIGURE_TOASTS":
+      return fillSlots({
+        ...state,
+        limit: action.limit ?? state.limit,
+      });
       
     default:
       return state;
@@ -136,7 +294,7 @@ const reducer = (state, action) => {
 
 // Global state management
 const listeners = []; // listeners for state changes
-let memoryState = { toasts: [] }; // in-memory state
+let memoryState = { toasts: [], queue: [], limit: TOAST_LIMIT }; // in-memory state
 
 /**
  * Notify all listeners of state changes
@@ -158,6 +316,7 @@ function notify() {
  */
 function dispatch(action) {
   memoryState = reducer(memoryState, action);
+  syncDismissTimers();
   notify();
 }
 
@@ -166,14 +325,17 @@ function dispatch(action) {
  * 
  * Primary function for creating toast notifications with automatic
  * ID generation and state management. Returns control methods for
- * updating or dismissing the specific toast.
+ * updating or dismissing the specific toast. When the limit is reached
+ * the toast waits in the queue; `update` and `dismiss` work either way.
  * 
  * @param {Object} props - Toast properties
  * @param {React.ReactNode} props.title - Toast title
  * @param {React.ReactNode} props.description - Toast description
  * @param {string} props.variant - Toast variant (success, error, warning, info)
+ * @param {number} [props.priority] - Queue priority (defaults by variant: errors 2, warnings 1, others 0)
+ * @param {number} [props.duration] - Auto-dismiss delay in ms once open (defaults by variant; Infinity is sticky)
  * @param {React.ReactNode} props.action - Action element/button
- * @returns {Object} Toast control methods
+ * @returns {Object} Toast control methods: id, dismiss, update, pause, resume
  * 
  * @example
  * // Basic toast
@@ -199,11 +361,18 @@ function dispatch(action) {
 function advancedToast({ ...props }) {
   const id = genId()
 
-  const update = (next) =>
+  const update = (next) => {
+    const entry = toastTimeouts.get(id)
+    if (entry && entry.kind === "dismiss" && ("duration" in next || "variant" in next)) clearToastTimeout(id) // restart with the new duration
     dispatch({ type: "UPDATE_TOAST", toast: { ...next, id } })
+  }
 
   const dismiss = () => dismissToast(id)
 
+  const pause = () => pauseToast(id)
+
+  const resume = () => resumeToast(id)
+
   dispatch({
     type: "ADD_TOAST",
     toast: {
@@ -216,9 +385,75 @@ function advancedToast({ ...props }) {
     },
   })
 
-  return { id, dismiss, update }
+  return { id, dismiss, update, pause, resume }
+}
+
+/**
+ * Normalize promise toast content into toast props
+ * 
+ * @param {*} content - Props object, title/description text or element, or a function of the value
+ * @param {*} value - Resolved data or rejection error
+ * @returns {Object|null} Toast props, or null when nothing was given
+ */
+function resolvePromiseContent(content, value) {
+  const resolved = typeof content === "function" ? content(value) : content
+  if (resolved === undefined || resolved === null) return null
+  if (typeof resolved === "object" && !React.isValidElement(resolved)) return resolved
+  return { description: resolved }
 }
 
+/**
+ * Show a toast that follows a promise
+ * 
+ * Opens a sticky toast with `loading: true` (render a spinner for it), then
+ * updates the same toast when the promise settles: `success(data)` with the
+ * success variant, or `error(err)` with the destructive variant. Both then
+ * auto-dismiss with their variant duration unless they set `duration`.
+ * Without `success` the loading toast is dismissed; without `error` the
+ * error message is shown.
+ * 
+ * @param {Promise|Function} promise - Promise, or function returning one
+ * @param {Object} [messages] - Content per state; strings become the description
+ * @param {Object|string|Function} [messages.loading] - Loading content
+ * @param {Object|string|Function} [messages.success] - `(data) => content`, or fixed content
+ * @param {Object|string|Function} [messages.error] - `(err) => content`, or fixed content
+ * @returns {Promise} Settles like the original promise
+ * 
+ * @example
+ * const saved = await toast.promise(saveDraft(draft), {
+ *   loading: "Saving draft...",
+ *   success: (draft) => ({ title: "Saved", description: `${draft.name} is up to date` }),
+ *   error: (err) => ({ title: "Save failed", description: err.message })
+ * });
+ */
+function promiseToast(promise, { loading, success, error } = {}) {
+  const pending = (async () => (typeof promise === "function" ? promise() : promise))() // sync throws become rejections
+  const handle = advancedToast({
+    ...(resolvePromiseContent(loading) || { description: "Loading..." }),
+    loading: true,
+    duration: Infinity, // settles before it may disappear
+  })
+
+  pending.then(
+    (data) => {
+      const content = resolvePromiseContent(success, data)
+      if (!content) {
+        handle.dismiss()
+        return
+      }
+      handle.update({ title: undefined, description: undefined, variant: "success", ...content, loading: false, duration: content.duration }) // replace the loading text
+    },
+    (err) => {
+      const content = resolvePromiseContent(error, err) || { title: "Error", description: err instanceof Error ? err.message : "Operation failed" }
+      handle.update({ title: undefined, description: undefined, variant: "destructive", ...content, loading: false, duration: content.duration })
+    }
+  )
+
+  return pending
+}
+
+advancedToast.promise = promiseToast // toast.promise(...) next to toast(...)
+
 /**
  * Hook for managing toast notifications
  * 
@@ -228,8 +463,11 @@ function advancedToast({ ...props }) {
  * 
  * @returns {Object} Toast state and control methods
  * @returns {Array} returns.toasts - Array of current toast objects
+ * @returns {Array} returns.queue - Toasts waiting for a free slot
  * @returns {Function} returns.toast - Function to create new toast
  * @returns {Function} returns.dismiss - Function to dismiss toast(s)
+ * @returns {Function} returns.pause - Pause auto-dismissal of one or all toasts
+ * @returns {Function} returns.resume - Resume auto-dismissal of one or all toasts
  * 
  * @example
  * // In a React component
@@ -257,6 +495,8 @@ function useToast() {
     ...state,
     toast: advancedToast,
     dismiss: (toastId) => dismissToast(toastId),
+    pause: (toastId) => pauseToast(toastId),
+    resume: (toastId) => resumeToast(toastId),
   }
 }
 
@@ -271,10 +511,39 @@ function getAdvancedToastCount() {
   return memoryState.toasts.length;
 }
 
+/**
+ * Get queued toast count for testing/debugging
+ * @returns {number} Number of toasts waiting for a slot
+ */
+function getQueuedToastCount() {
+  return memoryState.queue.length;
+}
+
+/**
+ * Configure the toast system for this app
+ * Raising the limit shows queued toasts right away; lowering it lets open
+ * toasts finish and holds new ones back until the count drops.
+ * 
+ * @param {Object} options - Toast settings
+ * @param {number} [options.limit] - Maximum number of open toasts
+ * @param {Object} [options.durations] - Auto-dismiss ms per variant, merged over the current values (`default` for the rest)
+ * 
+ * @example
+ * configureToasts({ limit: 3, durations: { default: 4000, destructive: Infinity } });
+ */
+function configureToasts({ limit, durations } = {}) {
+  if (limit !== undefined && !(limit >= 1)) throw new Error("configureToasts limit must be at least 1")
+  if (durations) toastDurations = { ...toastDurations, ...durations } // applies to toasts opened from now on
+  dispatch({ type: "CONFIGURE_TOASTS", limit })
+}
+
 /**
  * Clear all toasts (for testing/cleanup)
+ * Also cancels their pending dismiss and removal timers.
  */
 function clearAllAdvancedToasts() {
+  toastTimeouts.forEach((entry) => clearTimeout(entry.timer));
+  toastTimeouts.clear();
   dispatch({ type: "REMOVE_TOAST" });
 }
 
@@ -359,6 +628,12 @@ module.exports = {
   advancedToast,         // imperative toast creation function // exported for programmatic toasts (legacy)
   dismissToast,          // dismiss toast function // exported for programmatic dismissal
   getAdvancedToastCount, // get active toast count // exported for testing and debugging
+  getQueuedToastCount,   // get waiting toast count // exported for testing and debugging
+  configureToasts,       // set the open toast limit and durations // exported for per-app configuration
+  promiseToast,          // loading toast following a promise // also available as toast.promise
+  pauseToast,            // pause auto-dismissal // exported for hover and focus handlers
+  resumeToast,           // resume auto-dismissal // exported for hover and focus handlers
+  DEFAULT_TOAST_DURATIONS, // default durations per variant // exported for documentation
   clearAllAdvancedToasts, // clear all toasts // exported for cleanup and testing
   getAdvancedToastTimeoutCount, // get timeout count // exported for testing timeout management
   clearToastTimeout,     // clear specific toast timeout // exported for manual timeout cancellation
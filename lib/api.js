@@ -1,7 +1,15 @@
 
 const { QueryClient } = require("@tanstack/react-query"); // React Query core client
 const axios = require("axios"); // HTTP client used for API requests
-const { safeStringify } = require('./validation'); // import stringify helper for log safety
+const { safeStringify, isAxiosErrorWithStatus } = require('./validation'); // import stringify helper for log safety and status guard
+const { ApiError, isApiError } = require('./apiError'); // structured error thrown by every request helper
+const { mockServer } = require('./mockServer'); // default offline route registry
+const { runRequestMiddleware, runResponseMiddleware, runErrorMiddleware } = require('./apiMiddleware'); // middleware chain shared by all clients
+const { resolveRetryPolicy, executeWithRetry } = require('./retry'); // transport-level retry with backoff
+const { queryKeyToUrl, findUrlBuilder } = require('./queryKey'); // query key to URL mapping for getQueryFn
+const { createRequestCache, resolveCachePolicy, buildRequestKey } = require('./requestCache'); // GET dedupe and response cache
+const { createOfflineQueue } = require('./offlineQueue'); // queue for writes that fail while offline
+const { validateResponse } = require('./schema'); // optional response schema checks
 
 /**
  * API Module: Centralized HTTP Request Management and React Query Integration
@@ -35,28 +43,19 @@ const { safeStringify } = require('./validation'); // import stringify helper fo
  */
 
 /**
- * Pre-configured Axios instance with application-wide defaults
+ * Resolve the base URL used when a client is created without one
  *
- * baseURL points to `window.location.origin` so every relative URL
- * automatically hits the current host. This allows one codebase to run
- * on development, staging, or production domains without rewriting
- * URLs. When no browser window exists we default to `http://localhost:3000`
- * so tests and server-side calls still resolve correctly.
+ * `CLIENT_BASE_URL` wins so deployments can point the library at a separate
+ * API host. Otherwise `window.location.origin` makes every relative URL hit the
+ * current host, which lets one codebase run on development, staging, or
+ * production domains without rewriting URLs. When no browser window exists we
+ * default to `http://localhost:3000` so tests and server-side calls still resolve.
  *
- * `withCredentials: true` is mandatory because the authentication flow
- * relies on session cookies. Axios must include those cookies on every
- * request or the server will not recognize the user as logged in.
- *
- * We set `Content-Type: application/json` once here because JSON payloads
- * are the standard across the library.
- *
- * This instance should be used for all API requests to ensure consistency.
+ * @returns {string} Base URL for axios instances
  */
-const axiosClient = axios.create({
-  baseURL: process.env.CLIENT_BASE_URL || (typeof window !== 'undefined' ? window.location.origin : 'http://localhost:3000'), // use CLIENT_BASE_URL env var if set, otherwise current host; localhost fallback aids tests
-  withCredentials: true, // always send cookies so session based auth works without extra config
-  headers: { "Content-Type": "application/json" } // force JSON format which is the only payload this lib expects
-}); // single axios instance keeps interceptors and defaults identical everywhere
+function resolveDefaultBaseURL() { // computed per client so env changes apply to clients created later
+  return process.env.CLIENT_BASE_URL || (typeof window !== 'undefined' && window.location ? window.location.origin : 'http://localhost:3000'); // env override, then current host, then localhost for tests and window stubs
+}
 
 /**
  * Helper function for handling 401 errors consistently
@@ -74,7 +73,7 @@ const axiosClient = axios.create({
  * @returns {boolean} True if 401 was handled, false if error should be thrown
  */
 function handle401Error(error, behavior) { // convert 401 into null when allowed
-  if (axios.isAxiosError(error) && error.response?.status === 401) { // only handle real HTTP 401 errors so other failures bubble
+  if (isAxiosErrorWithStatus(error, 401)) { // only handle real HTTP 401 errors (raw or ApiError) so other failures bubble
     if (behavior === 'returnNull') { // treat 401 as valid absence
       return true; // indicates 401 was handled
     }
@@ -123,15 +122,25 @@ async function executeAxiosRequest(axiosCall, unauthorizedBehavior, mockResponse
  * The trade-off here is minimal: one more function call per request allows the
  * frontend to function without a live backend which accelerates development.
  *
+ * When the caller passes the request `config`, offline requests are first
+ * resolved against the mock server registry (see `lib/mockServer.js`) so each
+ * route can return its own data, status and latency. The explicit
+ * `mockResponse` is only used when no route matches.
+ *
  * @param {Function} requestFn - The actual request function to execute
  * @param {Object} mockResponse - Mock response to return in offline mode
+ * @param {Object} [options] - Offline routing options
+ * @param {Object} [options.config] - Request config matched against mock routes
+ * @param {Object} [options.mockServer] - Registry to consult (defaults to the shared mockServer)
  * @returns {Promise} Request result or mock response
  */
-async function codexRequest(requestFn, mockResponse) { // wrapper around axios to support mock responses
+async function codexRequest(requestFn, mockResponse, options = {}) { // wrapper around axios to support mock responses
   console.log(`codexRequest is running with ${process.env.OFFLINE_MODE}`); // reveal offline flag each call
   try { // attempt network call or return mock
     if (process.env.OFFLINE_MODE === `true`) { // offline mode lets frontend work without a backend
-      const offlineRes = mockResponse ?? { status: 200, data: null }; // default mock keeps types consistent when no mock provided
+      const { config, mockServer: server = mockServer } = options; // shared registry unless client supplied its own
+      const routed = config ? await server.handle(config) : undefined; // route-specific mock wins; throws for mocked error statuses
+      const offlineRes = routed ?? mockResponse ?? { status: 200, data: null }; // default mock keeps types consistent when no mock provided
       console.log(`codexRequest is returning ${safeStringify(offlineRes)}`); // show offline result for debugging
       return offlineRes; //(provide mock or default network result)
     }
@@ -146,148 +155,531 @@ async function codexRequest(requestFn, mockResponse) { // wrapper around axios t
 } //(end codexRequest)
 
 /**
- * Normalize axios error into a standard Error object
+ * Read a response header regardless of axios header representation
+ *
+ * Axios 1.x returns an `AxiosHeaders` instance with a `get` method while mocks
+ * and older versions use plain objects, so both shapes are handled.
+ *
+ * @param {Object} headers - Response headers
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined} Header value when present
+ */
+function readHeader(headers, name) { // tolerate AxiosHeaders and plain objects
+  if (!headers) { return undefined; } // no response headers
+  if (typeof headers.get === 'function') { // AxiosHeaders lookup is case insensitive
+    const value = headers.get(name);
+    if (value !== undefined && value !== null) { return value; }
+  }
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name); // plain object lookup ignoring case
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Parse a response body that may arrive as a JSON string
+ *
+ * @param {*} data - Raw response data
+ * @returns {*} Parsed JSON when possible, otherwise the original data
+ */
+function parseResponseBody(data) { // servers sometimes send JSON with a text content type
+  if (typeof data !== 'string') { return data; } // already parsed by axios
+  try { // attempt JSON parse
+    return JSON.parse(data);
+  } catch (error) { // plain text body
+    return data;
+  }
+}
+
+/**
+ * Check whether a request body must be sent as multipart/form-data
+ *
+ * @param {*} data - Request body
+ * @returns {boolean} True for FormData instances (browser or Node 18+ globals)
+ */
+function isMultipartBody(data) { // FormData exists in browsers and modern Node
+  return typeof FormData !== 'undefined' && data instanceof FormData;
+}
+
+/**
+ * Check whether a request body survives JSON persistence in the offline queue
+ *
+ * Blobs, files, buffers and typed arrays stringify to `{}`, so queuing them
+ * would replay an empty body later.
+ *
+ * @param {*} data - Request body
+ * @returns {boolean} True for primitives, plain objects and arrays
+ */
+function isQueueableBody(data) { // JSON bodies only
+  if (data === null || data === undefined) { return true; } // bodyless writes such as DELETE
+  if (typeof data !== 'object') { return typeof data !== 'function' && typeof data !== 'symbol'; }
+  if (Array.isArray(data)) { return true; }
+  const proto = Object.getPrototypeOf(data);
+  return proto === Object.prototype || proto === null; // class instances (Blob, ArrayBuffer, FormData...) are not plain data
+}
+
+/**
+ * Check whether caller headers already choose a content type
+ *
+ * @param {Object} [headers] - Per-call headers
+ * @returns {boolean} True when a Content-Type header is present
+ */
+function hasContentType(headers) { // header names are case insensitive
+  return !!headers && Object.keys(headers).some((key) => key.toLowerCase() === 'content-type');
+}
+
+/**
+ * Normalize axios error into a structured ApiError
  * @param {unknown} err - The error to format
- * @returns {Error} Formatted error object
+ * @returns {ApiError} Formatted error object
  *
  * The function avoids exposing the original axios error object to consumers
- * so that logging and UI code deal with a consistent `Error` type. It also
- * strips potentially sensitive server error structures, providing a concise
- * message for debugging while keeping the stack trace short.
+ * so that logging and UI code deal with a consistent error type. The message
+ * keeps the historical `"<status>: <body>"` format (with `500` when no
+ * response arrived) while `status`, `body`, `headers` and the request details
+ * are exposed as properties so callers no longer parse the message. Cancelled
+ * requests use a `"Request canceled: ..."` message and set `isCanceled` so UI
+ * code can ignore them instead of showing a server error. Errors that
+ * are already ApiError instances pass through untouched so wrappers can call
+ * this helper more than once.
  */
-function formatAxiosError(err) { // ensure all thrown errors are plain Error instances
+function formatAxiosError(err) { // ensure all thrown errors are ApiError instances
   try { // handle axios-specific formatting
+    if (isApiError(err)) { return err; } // already normalized by an inner layer
 
     if (axios.isAxiosError(err)) { //(normalize axios error)
-      const status = err.response?.status ?? 500; // default to 500 when status missing
+      const status = err.response?.status ?? null; // null when no response arrived
       const data = err.response?.data ?? err.message; // fallback to message if no data
       const dataString = typeof data === 'string' ? data : safeStringify(data); // use module for circular refs
-      const error = new Error(`${status}: ${dataString}`); // include HTTP status and server message for debugging
-      return error; // standardized Error object
-
+      const headers = err.response?.headers ?? {}; // response headers when available
+      const isCanceled = err.code === 'ERR_CANCELED' || (typeof axios.isCancel === 'function' && axios.isCancel(err)); // aborted by caller
+      const isTimeout = err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT'; // axios timeout codes
+      const message = isCanceled ? `Request canceled: ${err.message}` : `${status ?? 500}: ${dataString}`; // cancellation is not a server failure
+      return new ApiError(message, { // legacy message keeps string checks working
+        status,
+        code: err.code ?? null,
+        method: err.config?.method ? err.config.method.toUpperCase() : null,
+        url: err.config?.url ?? null,
+        body: parseResponseBody(err.response?.data),
+        headers,
+        requestId: readHeader(headers, 'x-request-id') ?? readHeader(headers, 'x-correlation-id') ?? null,
+        isNetworkError: !err.response && !isCanceled, // no response means the request never completed
+        isTimeout,
+        isCanceled
+      });
     }
-    const wrapped = new Error(String(err)); // wrap non-Axios error so callers always get Error
-    return wrapped; // return consistent Error object
+    if (err && err.name === 'AbortError') { // fetch-style abort raised before axios saw the request
+      return new ApiError(`Request canceled: ${err.message}`, { code: 'ERR_CANCELED', isCanceled: true });
+    }
+    const wrapped = new ApiError(String(err)); // wrap non-Axios error so callers always get ApiError
+    return wrapped; // return consistent error object
   } catch (error) { // formatting itself failed
 
-    return new Error(`Error formatting axios error: ${error.message}`); // last resort error wrapper
+    return new ApiError(`Error formatting axios error: ${error.message}`); // last resort error wrapper
 
   }
 }
 
 /**
- * apiRequest wraps axios so all calls share cookies & JSON handling.
+ * Create an isolated API client bound to one backend
  *
- * It defaults the method to POST because most mutations send bodies
- * and ensures the axios instance always includes credentials and headers.
- * The function also goes through codexRequest so offline mocks can be
- * supplied during frontend development.
- * Choosing POST as the default method is opinionated but matches most CRUD
- * operations. Callers can override it when needed, trading a tiny bit of
- * verbosity for having a predictable baseline throughout the codebase.
- * Example: const user = await apiRequest('/api/user', 'GET');
- * @param {string} url - The URL to request
- * @param {string} method - HTTP method (defaults to POST)
- * @param {unknown} data - Request body data
- * @returns {Promise} Response data
-*/
-async function apiRequest(url, method = 'POST', data) { //(public axios wrapper)
-  const normalizedMethod = method.toUpperCase(); // ensure method comparisons are case insensitive // changed
-  try { // run request with offline fallback
-    const config = { url, method: normalizedMethod }; // base config uses normalized method // changed
-    if (normalizedMethod === 'GET') { // treat GET differently so body isn't sent // changed
-      if (data !== null && data !== undefined) { // only attach params when data exists // added
-        config.params = data; // map data to query params when provided // added
-      }
-    } else {
-      config.data = data; // send body for non-GET requests // added
+ * Applications that talk to several backends need more than the single shared
+ * axios instance, so this factory builds an axios instance plus the
+ * `apiRequest`, `getQueryFn` and `QueryClient` that use it. Everything returned
+ * is bound together: the client's QueryClient uses the client's getQueryFn as
+ * its default query function, which in turn uses the client's axios instance.
+ * The module-level exports are simply the default client created below, so
+ * existing imports keep working unchanged.
+ *
+ * Defaults mirror the shared client: cookies are always sent because the
+ * authentication flow relies on session cookies, and JSON is the standard
+ * payload across the library. Caller supplied headers are merged on top.
+ *
+ * Example:
+ *   const billing = createApiClient({ baseURL: 'https://billing.example.com' });
+ *   const invoices = await billing.apiRequest('/api/invoices', 'GET');
+ *
+ * @param {Object} [options] - Client configuration
+ * @param {string} [options.baseURL] - Base URL (defaults to CLIENT_BASE_URL or current origin)
+ * @param {Object} [options.headers] - Extra default headers merged over the JSON content type
+ * @param {boolean} [options.withCredentials=true] - Whether cookies are sent with requests
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @param {Object} [options.queryDefaults] - React Query `queries` defaults merged over the library defaults
+ * @param {Object} [options.mockServer] - Offline route registry (defaults to the shared mockServer)
+ * @param {boolean|Object} [options.retry] - Retry policy for this client (see `lib/retry.js`); `false` disables retries
+ * @param {Object} [options.urlBuilders] - Map of first query key segment to `(queryKey) => url` builders
+ * @param {boolean} [options.dedupe=true] - Share identical in-flight GETs made through apiRequest
+ * @param {boolean|Object} [options.cache] - Response cache for apiRequest GETs, `true` or `{ ttl, maxEntries }` (see `lib/requestCache.js`)
+ * @param {boolean|Object} [options.offlineQueue] - Queue writes that fail while offline, `true` or queue options (see `lib/offlineQueue.js`)
+ * @returns {{axiosClient: Object, apiRequest: Function, getQueryFn: Function, queryClient: QueryClient, addMiddleware: Function, registerUrlBuilder: Function, enableOfflineQueue: Function, offlineQueue: Object|null, requestCache: Object, mockServer: Object}} Bound client helpers
+ */
+function createApiClient(options = {}) { // factory so each backend gets its own axios instance and cache
+  const {
+    baseURL = resolveDefaultBaseURL(), // fall back to env or current host when caller omits it
+    headers = {}, // extra default headers such as API keys
+    withCredentials = true, // session auth needs cookies unless caller opts out
+    timeout, // undefined keeps axios default of no timeout
+    queryDefaults = {}, // per-client React Query overrides
+    mockServer: clientMockServer = mockServer, // offline routes for this backend
+    retry: clientRetry, // undefined keeps the default policy for idempotent methods
+    urlBuilders = {}, // custom URL mapping for specific query keys
+    dedupe: clientDedupe = true, // identical concurrent GETs share one request
+    cache: clientCache = false, // response caching is opt-in
+    offlineQueue: offlineQueueOptions = false // offline write queue is opt-in
+  } = options;
+
+  const axiosConfig = {
+    baseURL, // relative URLs resolve against this backend
+    withCredentials, // send cookies so session based auth works without extra config
+    headers: { "Content-Type": "application/json", ...headers } // JSON is the only payload this lib expects; caller headers win
+  };
+  if (timeout !== undefined) { axiosConfig.timeout = timeout; } // only set when provided so axios default stays intact
+  const axiosClient = axios.create(axiosConfig); // one instance per client keeps interceptors and defaults isolated
+  const middlewares = []; // request/response/error hooks registered via addMiddleware
+  const builders = Object.assign(Object.create(null), urlBuilders); // copy so registerUrlBuilder never mutates caller options; no prototype so any root is a plain key
+  const requestCache = createRequestCache({ maxEntries: clientCache?.maxEntries }); // in-flight GETs and cached responses of this client
+  let offlineQueue = null; // created by enableOfflineQueue
+
+  /**
+   * Register middleware on this client
+   *
+   * Middleware runs inside apiRequest and getQueryFn so token injection and
+   * refresh logic still flow through `codexRequest` and `formatAxiosError`.
+   * See `lib/apiMiddleware.js` for the hook contract.
+   *
+   * @param {Object} middleware - Object with optional onRequest/onResponse/onError hooks
+   * @returns {Function} Function removing the middleware again
+   */
+  function addMiddleware(middleware) { // append so earlier middleware runs first
+    middlewares.push(middleware); // registration order is execution order
+    return () => { // remover keeps cleanup symmetrical with subscribe helpers
+      const index = middlewares.indexOf(middleware);
+      if (index > -1) { middlewares.splice(index, 1); }
+    };
+  }
+
+  /**
+   * Register a URL builder for query keys starting with `root`
+   *
+   * Builders handle endpoints whose URLs do not follow the default query key
+   * mapping, e.g. `registerUrlBuilder('search', ([, params]) => '/v2/search?term=' + params.q)`.
+   *
+   * @param {string} root - First query key segment
+   * @param {Function} builder - Receives the query key and returns the URL
+   * @returns {Function} Function removing the builder again
+   */
+  function registerUrlBuilder(root, builder) { // per-key escape hatch for the default queryFn
+    builders[root] = builder;
+    return () => { // remover keeps cleanup symmetrical with addMiddleware
+      if (builders[root] === builder) { delete builders[root]; }
+    };
+  }
+
+  /**
+   * Send one request through the middleware chain
+   *
+   * Errors are offered to `onError` hooks, which may replay the request via
+   * `retry`; replays re-enter this function so they receive fresh headers.
+   *
+   * @param {Object} config - Axios request config
+   * @param {Object} [resolved] - Config the request middleware already produced for this attempt
+   * @returns {Promise<Object>} Axios response (possibly replaced by middleware)
+   */
+  async function sendRequest(config, resolved) { // single path for every network call of this client
+    const finalConfig = resolved || await runRequestMiddleware(middlewares, config); // let middleware add headers first
+    try { // perform network call
+      const response = await axiosClient.request(finalConfig); // dispatch through this client's axios instance
+      return await runResponseMiddleware(middlewares, response, finalConfig); // allow middleware to inspect responses
+    } catch (err) { // offer failures to middleware before normalization
+      return runErrorMiddleware(middlewares, err, { config: finalConfig, retry: sendRequest }); // rethrows when nothing recovers
     }
-    const response = await codexRequest(
-      () => axiosClient.request(config), //perform request via shared axios instance // updated to use new config
-      { status: 200, data: { message: 'Mocked in Codex' } } // include status so mock mirrors axios response and keeps offline response consistent
+  }
+
+  /**
+   * Send a request with offline fallback and the retry policy applied
+   *
+   * Each attempt runs through `codexRequest` and the middleware chain, so
+   * offline routes can simulate transient failures and replays pick up fresh
+   * auth headers. A config resolved up front is used for the first attempt
+   * only.
+   *
+   * @param {Object} config - Axios request config
+   * @param {Object} mockResponse - Offline fallback when no mock route matches
+   * @param {boolean|Object} [callRetry] - Per-call retry override
+   * @param {Object} [resolved] - Config the request middleware already produced
+   * @returns {Promise<Object>} Axios response
+   */
+  function sendWithRetry(config, mockResponse, callRetry, resolved) { // shared by apiRequest and getQueryFn
+    let pending = resolved; // retries resolve again so they see refreshed tokens
+    return executeWithRetry(
+      (attemptConfig) => { const prepared = pending; pending = undefined; return codexRequest(() => sendRequest(attemptConfig, prepared), mockResponse, { config: attemptConfig, mockServer: clientMockServer }); }, // one attempt
+      config,
+      resolveRetryPolicy(clientRetry, callRetry) // per-call settings override client settings
     );
+  }
 
-    const result = response.data; //extract just the payload for caller
-    return result; // return only data so callers don't see axios internals
+  /**
+   * Build the dedupe and cache key of a GET
+   *
+   * The Authorization header is read from the config after request
+   * middleware ran, so a token injected by `createAuthMiddleware` separates
+   * entries and a new login never sees responses fetched for the old one.
+   *
+   * @param {string} url - Request URL
+   * @param {Object} config - Axios request config before middleware
+   * @param {Object} resolved - Config produced by the request middleware
+   * @param {Object} [headers] - Per-call headers
+   * @returns {string} Request key
+   */
+  function buildGetKey(url, config, resolved, headers) { // credentials are part of the request identity
+    const auth = readHeader(resolved.headers, 'authorization');
+    return `${buildRequestKey(url, config.params)}${headers ? ` ${JSON.stringify(headers)}` : ''}${auth ? ` auth:${auth}` : ''}`; // different headers mean different requests
+  }
 
-  } catch (err) { //(handle axios errors)
-    throw formatAxiosError(err); // normalize then bubble so caller logging remains consistent
+  /**
+   * Send a GET through the response cache
+   *
+   * Fresh entries are returned without a request. Stale entries with an ETag
+   * are revalidated with `If-None-Match`; a 304 reuses the cached body and
+   * restarts its TTL.
+   *
+   * @param {Object} config - Axios request config
+   * @param {string} key - Cache key of the request
+   * @param {Object} mockResponse - Offline fallback when no mock route matches
+   * @param {boolean|Object} [callRetry] - Per-call retry override
+   * @param {{ttl: number}} policy - Resolved cache policy
+   * @param {Object} [resolved] - Config the request middleware already produced
+   * @returns {Promise<Object>} Axios response or cached equivalent
+   */
+  async function sendCachedGet(config, key, mockResponse, callRetry, policy, resolved) { // TTL plus ETag revalidation
+    const entry = requestCache.get(key);
+    if (entry && entry.expires > Date.now()) { return { status: 200, data: entry.data, headers: entry.headers, config }; } // fresh hit skips the network
+    const conditional = (base) => (base && entry?.etag ? { // conditional request lets the server skip the body
+      ...base,
+      headers: { ...(base.headers || {}), 'If-None-Match': entry.etag },
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304 // axios rejects 304 by default
+    } : base);
+    const response = await sendWithRetry(conditional(config), mockResponse, callRetry, conditional(resolved));
+    if (response.status === 304 && entry) { // unchanged on the server
+      entry.expires = Date.now() + policy.ttl;
+      return { ...response, data: entry.data };
+    }
+    requestCache.set(key, { url: config.url, data: response.data, headers: response.headers, etag: readHeader(response.headers, 'etag') ?? null, expires: Date.now() + policy.ttl });
+    return response;
   }
-} //(end apiRequest)
 
-/**
- * Create a React Query function that handles 401 errors gracefully
- *
- * Enhanced version that supports URL construction from query keys by joining
- * them with "/" to create RESTful paths. This factory ties axios requests into
- * React Query's `useQuery` mechanism and uses `codexRequest` under the hood so
- * offline mode works the same as normal network calls. The 401 behavior is
- * configurable because some queries are optional (missing data is acceptable)
- * while others must surface an error. By allowing `'returnNull'` or `'throw'`
- * the same query wrapper can serve both scenarios.
- *
- * Example: queryKey ['api', 'users', '123'] becomes GET request to 'api/users/123'
- *
- * @param {Object} options - Configuration options
- * @param {string} options.on401 - How to handle 401 errors ('returnNull' or 'throw')
- * @returns {Function} QueryFunction for React Query
- */
-function getQueryFn(options = { on401: 'throw' }) { // default rejects on 401 so auth is required
-  const { on401: unauthorizedBehavior = 'throw' } = options; // fallback to throw when caller omits behavior
-
-  return async ({ queryKey }) => { //(returned QueryFunction)
-    try { // perform GET and manage 401s
-      const url = queryKey.join("/"); // join query key parts to construct URL path
-      const res = await codexRequest(
-        () => axiosClient.get(url), // perform GET using constructed URL from query key
-        { status: 200, data: null } // return this when offline
-      );
-      const result = res.data; // extract payload since 401 throws and never reaches here
-      return result; // forward data to query client
-    } catch (err) { //(handle query errors)
-      if (
-        unauthorizedBehavior === 'returnNull' &&
-        axios.isAxiosError(err) &&
-        err.response?.status === 401
-      ) {
-
-        return null; // return null when optional query hits 401 rather than throwing
+  /**
+   * apiRequest wraps axios so all calls share cookies & JSON handling.
+   *
+   * It defaults the method to POST because most mutations send bodies
+   * and ensures the axios instance always includes credentials and headers.
+   * The function also goes through codexRequest so offline mocks can be
+   * supplied during frontend development.
+   * Choosing POST as the default method is opinionated but matches most CRUD
+   * operations. Callers can override it when needed, trading a tiny bit of
+   * verbosity for having a predictable baseline throughout the codebase.
+   * `options` carries per-request transport settings: an AbortSignal so
+   * unmounting components can cancel, a timeout, extra headers and query
+   * params (merged under GET data). Cancelled calls reject with an ApiError
+   * whose `isCanceled` flag is set.
+   * Identical GETs running at the same time share one request unless they
+   * carry their own signal, and `cache` adds a TTL/ETag response cache.
+   * Successful writes invalidate cached GETs on the same path.
+   * With the client's offline queue enabled, writes failing with a network
+   * error resolve with `{ queued: true, id }` and are replayed later.
+   * A `schema` validates the response and throws a ValidationError on drift
+   * (see `lib/schema.js`).
+   * Transient failures of idempotent methods are retried with backoff; mutations
+   * opt in through `options.retry` with an idempotency key, e.g.
+   * `apiRequest('/api/orders', 'POST', order, { retry: { idempotencyKey: true } })`.
+   * Example: const user = await apiRequest('/api/user', 'GET');
+   * @param {string} url - The URL to request
+   * @param {string} method - HTTP method (defaults to POST)
+   * @param {unknown} data - Request body data
+   * @param {Object} [options] - Per-call options
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request
+   * @param {number} [options.timeout] - Timeout in milliseconds for this call
+   * @param {Object} [options.headers] - Extra headers for this call
+   * @param {Object} [options.params] - Query params for this call
+   * @param {Function} [options.onUploadProgress] - Axios upload progress callback
+   * @param {boolean|Object} [options.retry] - Retry policy override for this call
+   * @param {boolean} [options.dedupe] - Share an identical in-flight GET (defaults to the client setting)
+   * @param {boolean|Object} [options.cache] - Response cache override for this GET, `true`, `false` or `{ ttl }`
+   * @param {boolean} [options.queue] - Set to false to throw network errors instead of queueing this write
+   * @param {Function|Object} [options.schema] - Validator function or object with parse/safeParse for the response
+   * @returns {Promise} Response data
+   */
+  async function apiRequest(url, method = 'POST', data, options = {}) { //(public axios wrapper)
+    const normalizedMethod = method.toUpperCase(); // ensure method comparisons are case insensitive
+    try { // run request with offline fallback
+      const { signal, timeout, headers, params, onUploadProgress } = options; // per-call transport settings
+      const config = { url, method: normalizedMethod }; // base config uses normalized method
+      if (params) { config.params = { ...params }; } // explicit query params for any method
+      if (normalizedMethod === 'GET') { // treat GET differently so body isn't sent
+        if (data !== null && data !== undefined) { // only attach params when data exists
+          config.params = config.params ? { ...config.params, ...data } : data; // map data to query params; GET data wins over options.params
+        }
+      } else {
+        config.data = data; // send body for non-GET requests
+      }
+      if (headers) { config.headers = { ...headers }; } // axios merges these over instance defaults
+      if (isMultipartBody(data) && !hasContentType(config.headers)) { // client default JSON type would make axios serialize FormData as JSON
+        config.headers = { ...(config.headers || {}), 'Content-Type': 'multipart/form-data' }; // axios adds the boundary (browsers set it themselves)
+      }
+      if (onUploadProgress) { config.onUploadProgress = onUploadProgress; } // progress for large bodies such as uploads
+      if (signal) { config.signal = signal; } // lets callers abort, e.g. on unmount
+      if (timeout !== undefined) { config.timeout = timeout; } // overrides client timeout for this call
+      const mockResponse = { status: 200, data: { message: 'Mocked in Codex' } }; // fallback when no offline route matches; status mirrors axios response
+      let response; // filled by the GET or write path below
+      if (normalizedMethod === 'GET') { // reads may be shared and cached
+        const policy = resolveCachePolicy(clientCache, options.cache);
+        const shareable = !signal && (options.dedupe ?? clientDedupe); // one caller aborting must not cancel the others
+        const resolved = policy || shareable ? await runRequestMiddleware(middlewares, { ...config, headers: { ...(config.headers || {}) } }) : undefined; // once per call: the key needs the injected token; copy because hooks may mutate in place
+        const key = resolved ? buildGetKey(url, config, resolved, headers) : null; // only shared or cached reads need a key
+        const run = () => (policy ? sendCachedGet(config, key, mockResponse, options.retry, policy, resolved) : sendWithRetry(config, mockResponse, options.retry, resolved)); // performed via this client's middleware chain
+        response = await (shareable ? requestCache.dedupe(key, run) : run());
+      } else {
+        try {
+          response = await sendWithRetry(config, mockResponse, options.retry); // offline routes answer by method and URL
+        } catch (err) {
+          const failure = formatAxiosError(err);
+          if (!offlineQueue || options.queue === false || !isQueueableBody(data) || !failure.isNetworkError || failure.isTimeout) { throw err; } // only JSON writes that never reached the server are queued; a timed out write may have been applied
+          return offlineQueue.enqueue({ url, method: normalizedMethod, data, headers }); // resolves with { queued: true, id }
+        }
+        requestCache.invalidate(url); // cached reads of this path are stale after a write
+      }
+
+      const result = response.data; // extract just the payload for caller
+      if (options.schema) { return validateResponse(options.schema, result, { url, method: normalizedMethod, status: response.status }); } // parsed value replaces raw data
+      return result; // return only data so callers don't see axios internals
+
+    } catch (err) { //(handle axios errors)
+      throw formatAxiosError(err); // normalize then bubble so caller logging remains consistent
+    }
+  } //(end apiRequest)
+
+  /**
+   * Create a React Query function that handles 401 errors gracefully
+   *
+   * Enhanced version that supports URL construction from query keys: string
+   * segments are joined with "/" to create RESTful paths, object segments fill
+   * `:param` placeholders and the rest become a sorted query string (see
+   * `lib/queryKey.js`). A `buildUrl` option or a builder registered for the
+   * key's first segment replaces that mapping. This factory ties axios requests into
+   * React Query's `useQuery` mechanism and uses `codexRequest` under the hood so
+   * offline mode works the same as normal network calls. The 401 behavior is
+   * configurable because some queries are optional (missing data is acceptable)
+   * while others must surface an error. By allowing `'returnNull'` or `'throw'`
+   * the same query wrapper can serve both scenarios.
+   *
+   * The AbortSignal React Query passes to query functions is forwarded, so
+   * queries cancelled by unmounting or `queryClient.cancelQueries` abort the
+   * underlying request.
+   *
+   * A `schema` (option or `meta.schema` on the query) validates the data before
+   * it reaches the cache; mismatches reject with a ValidationError.
+   *
+   * Example: queryKey ['api', 'users', '123'] becomes GET request to 'api/users/123'
+   * Example: queryKey ['/api/items', { q: 'x', page: 2 }] becomes '/api/items?page=2&q=x'
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.on401 - How to handle 401 errors ('returnNull' or 'throw')
+   * @param {boolean|Object} [options.retry] - Retry policy override for these queries
+   * @param {Function} [options.buildUrl] - Custom `(queryKey) => url` mapping for these queries
+   * @param {Function|Object} [options.schema] - Response schema for these queries (`meta.schema` wins)
+   * @returns {Function} QueryFunction for React Query
+   */
+  function getQueryFn(options = { on401: 'throw' }) { // default rejects on 401 so auth is required
+    const { on401: unauthorizedBehavior = 'throw', retry, buildUrl, schema } = options; // fallback to throw when caller omits behavior
 
+    return async ({ queryKey, signal, meta }) => { //(returned QueryFunction)
+      try { // perform GET and manage 401s
+        const builder = buildUrl || findUrlBuilder(builders, queryKey) || queryKeyToUrl; // explicit builder, then registered one, then default mapping
+        const url = builder(queryKey); // construct URL path and query string from the key
+        const config = { url, method: 'GET' }; // query functions always read
+        if (signal) { config.signal = signal; } // React Query aborts this when the query is cancelled
+        const res = await sendWithRetry(
+          config, // perform GET using constructed URL from query key
+          { status: 200, data: null }, // return this when offline and no route matches
+          retry // per-query retry override
+        );
+        const result = res.data; // extract payload since 401 throws and never reaches here
+        const querySchema = meta?.schema || schema; // per-query schema from useQuery meta
+        if (querySchema) { return validateResponse(querySchema, result, { url, method: 'GET', status: res.status }); } // keep invalid data out of the cache
+        return result; // forward data to query client
+      } catch (err) { //(handle query errors)
+        if (handle401Error(err, unauthorizedBehavior)) { // optional query hit 401
+          return null; // return null when optional query hits 401 rather than throwing
+        }
+        throw formatAxiosError(err); // rethrow normalized error so calling code can handle consistently
       }
-      throw formatAxiosError(err); // rethrow normalized error so calling code can handle consistently
+    }; //(end returned QueryFunction)
+  } //(end getQueryFn)
+
+  /**
+   * React Query client with conservative defaults.
+   *
+   * React Query's own retries stay disabled because `getQueryFn` already
+   * retries transient failures at the transport level; enabling both would
+   * multiply attempts while other failures should surface immediately.
+   * Data never becomes stale and refetching on window focus is disabled to
+   * avoid unexpected network traffic. `queryDefaults` lets each client override
+   * these settings. The client uses this client's `getQueryFn` by default so
+   * every query benefits from `codexRequest` offline support and configurable
+   * 401 handling against the right backend.
+   */
+  const queryClient = new QueryClient({ // one cache per client so backends never share entries
+    defaultOptions: {
+      queries: {
+        queryFn: getQueryFn({ on401: "throw" }), // default query rejects on 401 so protected queries fail fast
+        refetchInterval: false, // disable polling to prevent background traffic
+        refetchOnWindowFocus: false, // keep data stable when user refocuses tab
+        staleTime: Infinity, // data never becomes stale by default
+        retry: false, // transport-level retry in getQueryFn handles transient failures
+        ...queryDefaults // caller overrides win so each backend can tune caching
+      },
+      mutations: {
+        retry: false, // avoid automatic retries on mutations
+      },
+    },
+  });
+
+  const client = { axiosClient, apiRequest, getQueryFn, queryClient, addMiddleware, registerUrlBuilder, enableOfflineQueue, offlineQueue, requestCache, mockServer: clientMockServer }; // bound helpers share one axios instance, middleware chain and cache
+
+  /**
+   * Enable the offline write queue of this client
+   *
+   * Safe to call more than once; the first call creates the queue and later
+   * calls return it. Replays go through apiRequest with queueing disabled so
+   * a request failing again stays in place instead of being queued twice.
+   *
+   * @param {Object} [queueOptions] - Options for `createOfflineQueue` except `send`
+   * @returns {Object} The client's offline queue
+   */
+  function enableOfflineQueue(queueOptions = {}) {
+    if (!offlineQueue) {
+      offlineQueue = createOfflineQueue({
+        storageKey: `qreactutils:offline-queue:${baseURL}`, // separate queues per backend
+        ...queueOptions,
+        send: (entry) => apiRequest(entry.url, entry.method, entry.data, { headers: entry.headers, queue: false })
+      });
+      client.offlineQueue = offlineQueue; // visible to useOfflineQueue
     }
-  }; //(end returned QueryFunction)
-} //(end getQueryFn)
+    return offlineQueue;
+  }
+  if (offlineQueueOptions) { enableOfflineQueue(offlineQueueOptions === true ? {} : offlineQueueOptions); }
+
+  return client;
+} //(end createApiClient)
 
 /**
- * Shared React Query client with conservative defaults.
+ * Default client backing the module-level exports
  *
- * The library disables automatic retries because failed requests should
- * surface immediately so calling code can decide how to recover.
- * Data never becomes stale and refetching on window focus is disabled to
- * avoid unexpected network traffic. Applications may override these
- * settings if they require different caching behavior. The client uses
- * `getQueryFn` by default so every query benefits from `codexRequest`
- * offline support and configurable 401 handling.
- * Centralizing the QueryClient here ensures all hooks share identical caching
- * rules. Applications can still supply their own client if needed, so this
- * default strikes a balance between convention and flexibility.
+ * Created once at import time so `apiRequest`, `getQueryFn`, `queryClient` and
+ * `axiosClient` keep their historical single-instance behavior. Centralizing the
+ * QueryClient here ensures all hooks share identical caching rules while apps
+ * with extra backends create their own clients via `createApiClient`.
  */
-
-const queryClient = new QueryClient({ // single client ensures caching behavior matches across hooks
-  defaultOptions: {
-    queries: {
-      queryFn: getQueryFn({ on401: "throw" }), // default query rejects on 401 so protected queries fail fast
-      refetchInterval: false, // disable polling to prevent background traffic
-      refetchOnWindowFocus: false, // keep data stable when user refocuses tab
-      staleTime: Infinity, // data never becomes stale by default
-      retry: false, // let caller control retry logic
-    },
-    mutations: {
-      retry: false, // avoid automatic retries on mutations
-    },
-  },
-}); // single client reused across hooks for cache consistency
+const defaultApiClient = createApiClient(); // base URL resolved from CLIENT_BASE_URL or current host
+const { axiosClient, apiRequest, getQueryFn, queryClient, addMiddleware: addApiMiddleware, registerUrlBuilder, enableOfflineQueue, requestCache } = defaultApiClient; // destructure so existing named exports stay identical
 
 module.exports = { //(expose API helpers via CommonJS for broad Node support)
   handle401Error,      // unify 401 status handling // exported so apps can control optional vs required auth
@@ -297,5 +689,14 @@ module.exports = { //(expose API helpers via CommonJS for broad Node support)
   getQueryFn,          // Factory for React Query query functions // exported so consumers build consistent queries
   queryClient,         // Shared QueryClient instance // public so entire app uses same cache
   formatAxiosError,    // Normalizes axios errors for consumers // exported to keep error processing consistent
-  axiosClient          // Pre-configured axios instance // public so external code can share HTTP config
+  axiosClient,         // Pre-configured axios instance // public so external code can share HTTP config
+  ApiError,            // Structured request error // re-exported so API consumers import errors from one place
+  isApiError,          // ApiError guard // re-exported alongside ApiError
+  createApiClient,     // Factory for per-backend clients // public so apps can talk to several backends
+  addApiMiddleware,    // Register middleware on the default client // public so apps extend the shared request path
+  registerUrlBuilder,  // Register query key URL builders on the default client // public so special endpoints keep the default queryFn
+  queryKeyToUrl,       // Default query key mapping // re-exported so custom query functions build identical URLs
+  requestCache,        // Dedupe and response cache of the default client // public so apps can clear it on logout
+  enableOfflineQueue,  // Turn on the offline write queue of the default client // public so apps opt in at startup
+  defaultApiClient     // Client behind the module-level exports // exported so code can pass the default around like custom clients
 }; //(end module exports)
@@ -0,0 +1,150 @@
+/**
+ * API Error Module
+ *
+ * Defines the structured error thrown by every request helper in `lib/api.js`.
+ * Earlier versions threw plain `Error("500: {...}")` objects, so callers had to
+ * parse the message to recover the HTTP status. `ApiError` keeps that message
+ * format for backward compatibility but also carries the status, request
+ * details and parsed response body as properties.
+ *
+ * This module intentionally has no dependencies so validation helpers can
+ * recognize ApiError instances without creating circular imports.
+ */
+
+/**
+ * Error raised for failed API requests
+ *
+ * Properties default to `null`/`false` so consumers can branch on them without
+ * optional chaining. `status` is `null` when no HTTP response arrived (network
+ * failures, timeouts, cancellations); the message still uses the legacy `500`
+ * prefix in that case so existing string checks keep working.
+ *
+ * @example
+ * try { await apiRequest('/api/items', 'POST', item); }
+ * catch (err) { if (err instanceof ApiError && err.status === 409) { showConflict(err.body); } }
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Human readable message (`"<status>: <body>"` for HTTP failures)
+   * @param {Object} [details] - Structured request/response details
+   * @param {number|null} [details.status] - HTTP status code
+   * @param {string|null} [details.code] - Transport error code such as `ECONNABORTED`
+   * @param {string|null} [details.method] - Uppercased HTTP method
+   * @param {string|null} [details.url] - Requested URL
+   * @param {*} [details.body] - Parsed response body
+   * @param {Object} [details.headers] - Response headers
+   * @param {string|null} [details.requestId] - Server request id from response headers
+   * @param {boolean} [details.isNetworkError] - True when no response was received
+   * @param {boolean} [details.isTimeout] - True when the request timed out
+   * @param {boolean} [details.isCanceled] - True when the request was aborted
+   */
+  constructor(message, details = {}) {
+    super(message); // keep legacy message so string checks still work
+    this.name = 'ApiError'; // explicit name survives minification and shows in stack traces
+    this.status = details.status ?? null; // HTTP status or null without response
+    this.code = details.code ?? null; // transport code from axios
+    this.method = details.method ?? null; // request method for logging
+    this.url = details.url ?? null; // request URL for logging
+    this.body = details.body; // parsed server payload; undefined when none
+    this.headers = details.headers ?? {}; // response headers for rate limit or tracing info
+    this.requestId = details.requestId ?? null; // correlation id for support tickets
+    this.isNetworkError = !!details.isNetworkError; // offline, DNS or CORS failures
+    this.isTimeout = !!details.isTimeout; // request exceeded its timeout
+    this.isCanceled = !!details.isCanceled; // request aborted by caller or unmount
+  }
+}
+
+/**
+ * Check whether a value is an ApiError
+ *
+ * Uses the `name` property as well as `instanceof` so errors created by a
+ * second copy of the library (duplicate installs, bundler chunks) still match.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True when value is an ApiError
+ */
+function isApiError(value) { // realm and duplicate-install safe check
+  return value instanceof ApiError || (!!value && value.name === 'ApiError' && value instanceof Error); // fall back to name for foreign copies
+}
+
+/**
+ * Error raised when a response does not match the caller's schema
+ *
+ * Extends ApiError so existing `isApiError` checks and error toasts keep
+ * working; `status` is the HTTP status of the (successful) response. `path`,
+ * `expected` and `actual` describe the first problem, `issues` lists all of
+ * them in the same shape.
+ *
+ * @example
+ * catch (err) { if (isValidationError(err)) { report(err.path, err.expected, err.actual); } }
+ */
+class ValidationError extends ApiError {
+  /**
+   * @param {string} message - Human readable summary
+   * @param {Object} [details] - ApiError details plus validation issues
+   * @param {Array<{path: string, expected: *, actual: *, message: string}>} [details.issues] - Validation problems
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ValidationError'; // distinct name so logs show contract drift, not server failures
+    this.issues = details.issues ?? []; // every problem the validator reported
+    const first = this.issues[0] || {};
+    this.path = first.path ?? ''; // '' means the response root
+    this.expected = first.expected; // what the schema wanted
+    this.actual = first.actual; // what the server sent
+  }
+}
+
+/**
+ * Check whether a value is a ValidationError
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True when value is a ValidationError
+ */
+function isValidationError(value) { // same duplicate-install tolerance as isApiError
+  return value instanceof ValidationError || (!!value && value.name === 'ValidationError' && value instanceof Error);
+}
+
+/**
+ * Error raised when a socket emit fails
+ *
+ * Extends ApiError so the toast helpers and `isApiError` checks treat socket
+ * failures like request failures. The message is written for end users;
+ * `code` tells the cases apart: `ACK_TIMEOUT` (no acknowledgement in time,
+ * also flagged `isTimeout`), `NOT_CONNECTED` (buffering disabled while
+ * offline) and `SOCKET_CLOSED` (connection released before the message left).
+ *
+ * @example
+ * catch (err) { if (isSocketError(err) && err.isTimeout) { offerRetry(err.event); } }
+ */
+class SocketError extends ApiError {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - ApiError details plus the event name
+   * @param {string} [details.event] - Socket event that failed
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'SocketError'; // distinct from HTTP failures in logs
+    this.event = details.event ?? null; // emitted event name
+  }
+}
+
+/**
+ * Check whether a value is a SocketError
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True when value is a SocketError
+ */
+function isSocketError(value) { // same duplicate-install tolerance as isApiError
+  return value instanceof SocketError || (!!value && value.name === 'SocketError' && value instanceof Error);
+}
+
+module.exports = { // error types via CommonJS
+  ApiError,  // structured request error // public so callers can use instanceof
+  isApiError, // duck-typed guard // public for cross-bundle checks
+  ValidationError,  // response schema mismatch // public so callers can use instanceof
+  isValidationError, // duck-typed guard // public for cross-bundle checks
+  SocketError,      // socket emit failure // public so callers can use instanceof
+  isSocketError     // duck-typed guard // public for cross-bundle checks
+}; // end api error exports
@@ -0,0 +1,158 @@
+/**
+ * API Middleware Module
+ *
+ * Provides the request/response middleware chain used by every client created
+ * in `lib/api.js`. Applications previously hand-rolled auth logic in raw axios
+ * interceptors, which bypassed `codexRequest` offline handling and
+ * `formatAxiosError` normalization. Running middleware inside the library's own
+ * request path keeps those guarantees while still letting apps inject headers,
+ * observe responses, and recover from errors.
+ *
+ * A middleware is a plain object with any of these optional hooks:
+ * - `onRequest(config)`: may return a new config (or mutate and return nothing)
+ * - `onResponse(response, config)`: may return a replacement response
+ * - `onError(error, { config, retry })`: may return a response to recover,
+ *   typically by calling `retry(nextConfig)` to replay the request
+ *
+ * Hooks may be async; they run in registration order.
+ */
+
+const axios = require('axios'); // used to recognize HTTP errors when deciding on refresh
+
+/**
+ * Run every `onRequest` hook in order
+ *
+ * Each hook receives the config produced by the previous one so middleware can
+ * layer headers without knowing about each other. Returning nothing keeps the
+ * current config which allows simple in-place mutation.
+ *
+ * @param {Array<Object>} middlewares - Registered middleware objects
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} Final request config
+ */
+async function runRequestMiddleware(middlewares, config) { // fold config through each onRequest hook
+  let current = config; // start with caller config
+  for (const middleware of middlewares) { // preserve registration order
+    if (typeof middleware.onRequest === 'function') { // hooks are optional
+      const next = await middleware.onRequest(current); // await so hooks can fetch tokens asynchronously
+      if (next !== undefined) { current = next; } // undefined means hook mutated in place
+    }
+  }
+  return current; // config that will reach axios
+}
+
+/**
+ * Run every `onResponse` hook in order
+ *
+ * @param {Array<Object>} middlewares - Registered middleware objects
+ * @param {Object} response - Axios response
+ * @param {Object} config - Config the response belongs to
+ * @returns {Promise<Object>} Final response
+ */
+async function runResponseMiddleware(middlewares, response, config) { // fold response through each onResponse hook
+  let current = response; // start with network response
+  for (const middleware of middlewares) { // preserve registration order
+    if (typeof middleware.onResponse === 'function') { // hooks are optional
+      const next = await middleware.onResponse(current, config); // allow async inspection or replacement
+      if (next !== undefined) { current = next; } // undefined keeps current response
+    }
+  }
+  return current; // response handed back to apiRequest/getQueryFn
+}
+
+/**
+ * Give each `onError` hook a chance to recover from a failed request
+ *
+ * The first hook returning a value wins and that value is treated as the
+ * response. When no hook recovers, the original error is rethrown so
+ * `formatAxiosError` and 401 handling still apply upstream. A hook that throws
+ * replaces the error, which lets a replayed request surface its own failure.
+ *
+ * @param {Array<Object>} middlewares - Registered middleware objects
+ * @param {*} error - Error raised by axios or an earlier hook
+ * @param {Object} context - `{ config, retry }` passed to each hook
+ * @returns {Promise<Object>} Recovered response
+ * @throws {*} Original error when no hook recovers
+ */
+async function runErrorMiddleware(middlewares, error, context) { // let middleware recover before error normalization
+  for (const middleware of middlewares) { // preserve registration order
+    if (typeof middleware.onError === 'function') { // hooks are optional
+      const recovered = await middleware.onError(error, context); // thrown errors propagate as the new failure
+      if (recovered !== undefined) { return recovered; } // first recovery wins
+    }
+  }
+  throw error; // nothing recovered so caller normalizes the original error
+}
+
+/**
+ * Create middleware that injects bearer tokens and refreshes them on 401
+ *
+ * Tokens are read before every request and written to the configured header.
+ * When a response comes back 401 the middleware starts a single refresh no
+ * matter how many requests failed at once; every failed request waits for that
+ * refresh and is then replayed once with the new token. Requests started while
+ * a refresh is running wait for it before being sent so they never go out with
+ * a token that is known to be stale. If the refresh fails, `onRefreshFailed` is
+ * notified once, however many requests were waiting, and the original 401
+ * propagates so `on401: 'returnNull'` and `handle401Error` keep working.
+ *
+ * Example:
+ *   addApiMiddleware(createAuthMiddleware({
+ *     getToken: () => localStorage.getItem('token'),
+ *     refreshToken: async () => { const { token } = await refresh(); localStorage.setItem('token', token); return token; }
+ *   }));
+ *
+ * @param {Object} options - Auth configuration
+ * @param {Function} [options.getToken] - Returns the current token (sync or async); defaults to the last refreshed token
+ * @param {Function} [options.refreshToken] - Obtains a new token; its return value becomes the current token
+ * @param {Function} [options.onRefreshFailed] - Called with the refresh error, e.g. to redirect to login
+ * @param {string} [options.header='Authorization'] - Header receiving the token
+ * @param {string} [options.scheme='Bearer'] - Prefix placed before the token; empty string sends the raw token
+ * @returns {Object} Middleware object for `addApiMiddleware` or `client.addMiddleware`
+ */
+function createAuthMiddleware(options = {}) { // bearer injection plus single-flight refresh
+  const { getToken, refreshToken, onRefreshFailed, header = 'Authorization', scheme = 'Bearer' } = options;
+  let latestToken = null; // token returned by the most recent refresh
+  let refreshPromise = null; // shared promise so concurrent 401s trigger one refresh
+
+  function refreshOnce() { // start refresh or join the one already running
+    if (!refreshPromise) { // first failing request starts the refresh
+      refreshPromise = Promise.resolve()
+        .then(() => refreshToken()) // defer so synchronous throws become rejections
+        .then((token) => { if (token !== undefined) { latestToken = token; } return token; }) // remember token for getToken-less setups
+        .catch(async (refreshError) => { // runs once per failed refresh, not once per waiting request
+          if (typeof onRefreshFailed === 'function') { await onRefreshFailed(refreshError); } // let app log out or redirect
+          throw refreshError; // waiters still see the failure
+        })
+        .finally(() => { refreshPromise = null; }); // allow a later refresh once this one settles
+    }
+    return refreshPromise; // every waiter observes the same outcome
+  }
+
+  return {
+    async onRequest(config) { // attach token to outgoing request
+      if (refreshPromise) { await refreshPromise.catch(() => {}); } // queue behind running refresh; failures surface via the 401 path
+      const token = typeof getToken === 'function' ? await getToken() : latestToken; // prefer app token store
+      if (!token) { return config; } // anonymous request when no token exists
+      const value = scheme ? `${scheme} ${token}` : token; // allow raw token headers
+      return { ...config, headers: { ...(config.headers || {}), [header]: value } }; // copy so caller config is untouched
+    },
+    async onError(error, { config, retry }) { // refresh and replay after 401
+      const isUnauthorized = axios.isAxiosError(error) && error.response?.status === 401; // only HTTP 401 triggers refresh
+      if (!isUnauthorized || typeof refreshToken !== 'function' || config._authRetried) { return undefined; } // replay at most once
+      try { // wait for shared refresh
+        await refreshOnce();
+      } catch (refreshError) { // refresh itself failed; onRefreshFailed already ran in refreshOnce
+        return undefined; // fall through so original 401 propagates
+      }
+      return retry({ ...config, _authRetried: true }); // replay through the full chain so the new token is injected
+    }
+  };
+}
+
+module.exports = { // middleware helpers via CommonJS
+  runRequestMiddleware,  // fold request config // used by api clients
+  runResponseMiddleware, // fold responses // used by api clients
+  runErrorMiddleware,    // recover or rethrow // used by api clients
+  createAuthMiddleware   // bearer token + refresh middleware // public so apps stop hand-rolling interceptors
+}; // end api middleware exports
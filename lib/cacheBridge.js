@@ -0,0 +1,103 @@
+/**
+ * Realtime Cache Bridge Module
+ *
+ * Push transports (Socket.IO, Server-Sent Events) describe how incoming
+ * events change React Query data with small declarative rules, so a push
+ * update reaches every component reading the query instead of one hook's
+ * local state.
+ *
+ * A rule picks a cache entry with `queryKey` (an array or
+ * `(payload, event) => key`, returning nothing to skip the event) and one
+ * action:
+ *
+ *   { queryKey }                               replace the entry with the payload
+ *   { queryKey, update: (old, payload) => new } reducer over the cached value
+ *   { queryKey, append: true, idKey?, max? }   add to a cached list
+ *   { queryKey, invalidate: true }             mark stale and refetch active queries
+ *   (payload, event, queryClient) => {}        anything else
+ *
+ * `append` adds the payload (or each item of an array payload) to the end,
+ * or to the start with `append: 'start'`. With `idKey`, items already in the
+ * list are replaced in place instead of duplicated. `max` keeps the list at
+ * most that long, dropping from the opposite end.
+ */
+
+/**
+ * Add items to a cached list
+ *
+ * @param {Array} [list] - Cached list (missing entries start empty)
+ * @param {*} payload - Item or array of items
+ * @param {Object} rule - Append rule
+ * @returns {Array} New list
+ */
+function appendToList(list, payload, rule) { // immutable so React Query notices the change
+  let next = Array.isArray(list) ? list.slice() : [];
+  const items = Array.isArray(payload) ? payload : [payload];
+  const atStart = rule.append === 'start';
+  items.forEach((item) => {
+    const index = rule.idKey && item && typeof item === 'object' ? next.findIndex((existing) => existing && existing[rule.idKey] === item[rule.idKey]) : -1;
+    if (index > -1) { next[index] = item; return; } // known item: update in place
+    if (atStart) { next.unshift(item); } else { next.push(item); }
+  });
+  if (rule.max > 0 && next.length > rule.max) { next = atStart ? next.slice(0, rule.max) : next.slice(next.length - rule.max); } // drop the oldest items
+  return next;
+}
+
+/**
+ * Apply one rule to the query cache
+ *
+ * @param {QueryClient} queryClient - Cache to update
+ * @param {Object|Function} rule - Cache rule for the event
+ * @param {*} payload - Event payload
+ * @param {Object} [event] - Transport specific event details
+ */
+function applyEventToCache(queryClient, rule, payload, event) { // shared by realtime transports
+  if (typeof rule === 'function') { rule(payload, event, queryClient); return; }
+  const queryKey = typeof rule.queryKey === 'function' ? rule.queryKey(payload, event) : rule.queryKey;
+  if (!queryKey) { return; } // rule opted out for this event
+  if (rule.invalidate) { queryClient.invalidateQueries({ queryKey }); return; }
+  if (rule.append) { queryClient.setQueryData(queryKey, (old) => appendToList(old, payload, rule)); return; }
+  queryClient.setQueryData(queryKey, (old) => (typeof rule.update === 'function' ? rule.update(old, payload, event) : payload));
+}
+
+/**
+ * Apply every rule registered for an event
+ *
+ * Each event name maps to one rule or an array of rules, so one push can
+ * patch a detail entry and invalidate a list at the same time.
+ *
+ * @param {QueryClient} queryClient - Cache to update
+ * @param {Object} rules - `{ eventName: rule | rule[] }`
+ * @param {string} name - Event name
+ * @param {*} payload - Event payload
+ * @param {Object} [event] - Transport specific event details
+ */
+function applyCacheRules(queryClient, rules, name, payload, event) {
+  const entry = rules && rules[name];
+  if (!entry) { return; }
+  (Array.isArray(entry) ? entry : [entry]).forEach((rule) => applyEventToCache(queryClient, rule, payload, event));
+}
+
+/**
+ * Route socket events into the query cache
+ *
+ * @param {Object} socket - Socket.IO client socket
+ * @param {Object} rules - `{ eventName: rule | rule[] }`
+ * @param {QueryClient} queryClient - Cache to update
+ * @returns {Function} Removes the listeners again
+ */
+function bindSocketToCache(socket, rules, queryClient) { // non-React entry used by the socket hooks
+  const bound = Object.keys(rules || {}).map((name) => {
+    const listener = (payload) => applyCacheRules(queryClient, rules, name, payload, { type: name });
+    socket.on(name, listener);
+    return [name, listener];
+  });
+  return () => { bound.forEach(([name, listener]) => socket.off(name, listener)); };
+}
+
+module.exports = { // cache bridge via CommonJS
+  applyEventToCache, // run one rule // exported for custom transports
+  applyCacheRules,   // run all rules of an event // used by realtime hooks
+  bindSocketToCache, // socket listeners writing the cache // public for non-React code
+  appendToList       // list append helper // exported for custom reducers
+}; // end cache bridge exports
@@ -0,0 +1,173 @@
+/**
+ * Server-Sent Events Module
+ *
+ * `useEventSource` is the one-way counterpart to `useSocket` for services
+ * that push updates over `text/event-stream`. It keeps the same lifecycle
+ * guarantees: one connection per mounted hook, listeners removed and the
+ * stream closed on unmount.
+ *
+ * Browsers reconnect an EventSource on their own but give up for good on
+ * some errors and never back off. The hook therefore closes a failed stream
+ * and reconnects itself with the exponential backoff from `lib/retry.js`.
+ * The id of the last received event is sent again on reconnect, as the
+ * `lastEventId` query param (browsers cannot set headers on EventSource) and
+ * as a `Last-Event-ID` header for polyfills that accept `headers`.
+ *
+ * Events can also be written straight into the query cache with `cache`
+ * rules (see `lib/cacheBridge.js`).
+ */
+
+const { useState, useEffect, useRef, useCallback } = require('react'); // hook primitives
+const { computeBackoff } = require('./retry'); // same backoff curve as request retries
+const { defaultApiClient } = require('./api'); // shared queryClient unless callers pass another
+const { applyCacheRules } = require('./cacheBridge'); // declarative event to cache rules
+
+/**
+ * Default reconnect policy
+ */
+const DEFAULT_RECONNECT_POLICY = { baseDelay: 1000, maxDelay: 30000, jitter: true, maxAttempts: Infinity }; // streams are long lived, keep trying
+
+/**
+ * Parse event data as JSON when possible
+ *
+ * @param {string} raw - Event data
+ * @returns {*} Parsed value or the raw string
+ */
+function parseEventData(raw) { // most services send JSON, some send plain text
+  if (typeof raw !== 'string') { return raw; }
+  try { return JSON.parse(raw); } catch (error) { return raw; }
+}
+
+/**
+ * Add the last event id to a stream URL
+ *
+ * @param {string} url - Stream URL
+ * @param {string} param - Query param name
+ * @param {string|null} lastEventId - Id to resume from
+ * @returns {string} URL for the next connection
+ */
+function withLastEventId(url, param, lastEventId) { // EventSource has no header API in browsers
+  if (!lastEventId || !param) { return url; }
+  return `${url}${url.includes('?') ? '&' : '?'}${encodeURIComponent(param)}=${encodeURIComponent(lastEventId)}`;
+}
+
+/**
+ * React hook subscribing to a Server-Sent Events stream
+ *
+ * @param {string|null} url - Stream URL; a falsy value keeps the hook idle
+ * @param {Object} [options] - Stream options
+ * @param {Array<string>|Object} [options.events] - Event names to listen to, or a `{ name: handler(data, event) }` map
+ * @param {boolean} [options.withCredentials=false] - Send cookies with the stream request
+ * @param {Function} [options.onMessage] - Handler for unnamed `message` events
+ * @param {Function} [options.onOpen] - Called when a connection opens
+ * @param {Function} [options.onError] - Called with each connection error
+ * @param {Object} [options.cache] - `{ eventName: rule | rule[] }` cache rules (see `lib/cacheBridge.js`)
+ * @param {Object} [options.client] - API client whose queryClient receives cache writes
+ * @param {Object|boolean} [options.reconnect] - Backoff overrides, or false to stay closed after errors
+ * @param {string} [options.lastEventIdParam='lastEventId'] - Query param carrying the last event id on reconnect
+ * @param {Function} [options.EventSource] - EventSource implementation (defaults to the global one)
+ * @returns {Object} { status, lastEvent, lastEventId, error, close, reconnect }
+ */
+function useEventSource(url, options = {}) {
+  console.log(`useEventSource is running with ${url}`); // entry log for tracing
+  const [state, setState] = useState({ status: url ? 'connecting' : 'closed', lastEvent: null, lastEventId: null, error: null });
+  const optionsRef = useRef(options); // latest handlers without reconnecting
+  optionsRef.current = options;
+  const lastEventIdRef = useRef(null); // survives reconnects, not a change of stream
+  const streamUrlRef = useRef(url); // stream the last event id belongs to
+  const controlsRef = useRef({ close: () => {}, reconnect: () => {} });
+  const { withCredentials = false, events = [], cache = {} } = options;
+  const eventNames = [...new Set([...(Array.isArray(events) ? events : Object.keys(events)), ...Object.keys(cache)])].filter((name) => name !== 'message');
+  const eventKey = eventNames.join('|'); // reconnect only when the listened names change
+
+  useEffect(() => {
+    if (streamUrlRef.current !== url) { // ids of another stream would make the server skip events
+      streamUrlRef.current = url;
+      lastEventIdRef.current = null;
+      setState((prev) => ({ ...prev, lastEvent: null, lastEventId: null }));
+    }
+    if (!url) { return undefined; }
+    const Impl = optionsRef.current.EventSource || (typeof EventSource !== 'undefined' ? EventSource : null);
+    if (!Impl) { // Node without a polyfill
+      setState((prev) => ({ ...prev, status: 'closed', error: new Error('EventSource is not available in this environment') }));
+      return undefined;
+    }
+    let source = null;
+    let timer = null;
+    let attempt = 0; // failed connections since the last open
+    let stopped = false; // set by close() and unmount
+
+    const handle = (type) => (event) => { // one listener per event name
+      const current = optionsRef.current;
+      const data = parseEventData(event.data);
+      if (event.lastEventId) { lastEventIdRef.current = event.lastEventId; }
+      const named = !Array.isArray(current.events) && current.events ? current.events[type] : undefined; // handler map entry
+      const handler = type === 'message' ? (current.onMessage || named) : named;
+      if (typeof handler === 'function') { handler(data, event); }
+      if (current.cache && current.cache[type]) { applyCacheRules((current.client || defaultApiClient).queryClient, current.cache, type, data, event); }
+      setState((prev) => ({ ...prev, lastEvent: { type, data, id: event.lastEventId || null }, lastEventId: lastEventIdRef.current }));
+    };
+    const listeners = ['message', ...eventNames].map((type) => [type, handle(type)]);
+
+    function connect() {
+      const { lastEventIdParam = 'lastEventId' } = optionsRef.current;
+      const lastEventId = lastEventIdRef.current;
+      const init = { withCredentials };
+      if (lastEventId) { init.headers = { 'Last-Event-ID': lastEventId }; } // honoured by polyfills, ignored by browsers
+      console.log(`useEventSource connecting to ${url}`); // log each (re)connection
+      source = new Impl(withLastEventId(url, lastEventIdParam, lastEventId), init);
+      listeners.forEach(([type, listener]) => source.addEventListener(type, listener));
+      source.onopen = () => {
+        attempt = 0; // healthy again, next failure starts from the base delay
+        setState((prev) => ({ ...prev, status: 'open', error: null }));
+        optionsRef.current.onOpen?.();
+      };
+      source.onerror = (error) => {
+        optionsRef.current.onError?.(error);
+        teardown(); // take over reconnection from the browser
+        const reconnectOption = optionsRef.current.reconnect;
+        const policy = { ...DEFAULT_RECONNECT_POLICY, ...(typeof reconnectOption === 'object' ? reconnectOption : {}) };
+        attempt++;
+        if (stopped || reconnectOption === false || attempt > policy.maxAttempts) {
+          setState((prev) => ({ ...prev, status: 'closed', error }));
+          return;
+        }
+        const delay = computeBackoff(attempt, policy);
+        setState((prev) => ({ ...prev, status: 'reconnecting', error }));
+        timer = setTimeout(connect, delay);
+      };
+    }
+
+    function teardown() { // detach and close the current stream
+      if (!source) { return; }
+      listeners.forEach(([type, listener]) => source.removeEventListener(type, listener));
+      source.onopen = null;
+      source.onerror = null;
+      source.close();
+      source = null;
+    }
+
+    controlsRef.current = {
+      close: () => { stopped = true; clearTimeout(timer); teardown(); setState((prev) => ({ ...prev, status: 'closed' })); },
+      reconnect: () => { stopped = false; clearTimeout(timer); teardown(); attempt = 0; setState((prev) => ({ ...prev, status: 'connecting' })); connect(); }
+    };
+    connect();
+
+    return () => { // unmount or url change
+      console.log(`useEventSource cleaning up ${url}`); // log cleanup
+      stopped = true;
+      clearTimeout(timer);
+      teardown();
+    };
+  }, [url, withCredentials, eventKey]); // handlers and cache rules are read through optionsRef
+
+  const close = useCallback(() => controlsRef.current.close(), []);
+  const reconnect = useCallback(() => controlsRef.current.reconnect(), []);
+
+  return { ...state, close, reconnect };
+}
+
+module.exports = { // SSE helpers via CommonJS
+  useEventSource,          // SSE stream hook // public for one-way realtime updates
+  DEFAULT_RECONNECT_POLICY // default backoff // exported for documentation and tests
+}; // end event source exports
@@ -0,0 +1,204 @@
+/**
+ * GraphQL Module
+ *
+ * GraphQL backends go through the same client as REST calls: requests are
+ * POSTed via `apiRequest`, so middleware, `codexRequest` offline routes,
+ * retries and `formatAxiosError` all apply. GraphQL reports most failures as
+ * `errors[]` in a 200 response; those are converted into ApiError instances
+ * with a status derived from `extensions.code` (UNAUTHENTICATED -> 401 and so
+ * on), so the 401 handling and error toasts used for REST work unchanged.
+ *
+ * Cache keys are `['graphql', operationName, variables]`, which lets mutations
+ * invalidate every cached variant of an operation by name.
+ */
+
+const { useQuery, useMutation } = require('@tanstack/react-query'); // React Query hooks back the GraphQL hooks
+const { defaultApiClient, handle401Error } = require('./api'); // shared client and 401 behaviour
+const { ApiError } = require('./apiError'); // normalized error type
+const { validateResponse } = require('./schema'); // optional data validation
+
+/**
+ * Default GraphQL endpoint path
+ */
+const DEFAULT_GRAPHQL_ENDPOINT = '/graphql'; // conventional path used by most servers
+
+/**
+ * HTTP statuses for common GraphQL error codes
+ */
+const GRAPHQL_ERROR_STATUS = { // Apollo style extensions.code values
+  UNAUTHENTICATED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  BAD_USER_INPUT: 400,
+  GRAPHQL_PARSE_FAILED: 400,
+  GRAPHQL_VALIDATION_FAILED: 400,
+  PERSISTED_QUERY_NOT_FOUND: 400,
+  INTERNAL_SERVER_ERROR: 500
+};
+
+/**
+ * Read the type and name of an operation in a document
+ *
+ * Strings, comments and everything inside braces or parentheses are
+ * collapsed first, so fragments, nested fields named `query` and variable
+ * defaults cannot be mistaken for the operation definition. Multi-operation
+ * documents pick the operation named by `operationName`, else the first one.
+ *
+ * @param {string} query - GraphQL document
+ * @param {string} [operationName] - Operation selected for execution
+ * @returns {{type: string, name: string|null}} Operation type ('query' for shorthand documents) and name
+ */
+function getOperationInfo(query, operationName) { // only top-level definition headers are inspected
+  const source = String(query)
+    .replace(/"""[\s\S]*?"""|"(?:\\.|[^"\\\n])*"|#[^\n]*/g, ' '); // strings and comments could contain keywords or braces
+  let depth = 0;
+  let outline = ''; // document with nested content removed, e.g. `fragment F on User {} query Q() {}`
+  for (const char of source) {
+    if (char === '{' || char === '(') { if (depth === 0) { outline += char; } depth++; continue; }
+    if (char === '}' || char === ')') { depth = Math.max(0, depth - 1); if (depth === 0) { outline += char; } continue; }
+    if (depth === 0) { outline += char; }
+  }
+  const headers = outline.split('{}').slice(0, -1).map((header) => header.trim()); // every definition ends with its selection set
+  const operations = headers.map((header) => {
+    if (header === '') { return { type: 'query', name: null }; } // `{ field }` shorthand is an anonymous query
+    const match = header.match(/^(query|mutation|subscription)\b\s*([_A-Za-z][_0-9A-Za-z]*)?/);
+    return match ? { type: match[1], name: match[2] || null } : null;
+  }).filter(Boolean); // fragments and type system definitions are skipped
+  const selected = operationName ? operations.find((operation) => operation.name === operationName) : undefined;
+  return selected || operations[0] || { type: 'query', name: null };
+}
+
+/**
+ * Short stable hash used to name anonymous operations
+ *
+ * @param {string} text - Text to hash
+ * @returns {string} Base-36 hash
+ */
+function hashString(text) { // djb2, collisions only merge cache entries of anonymous operations
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) { hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0; }
+  return hash.toString(36);
+}
+
+/**
+ * Build the query key of a GraphQL operation
+ *
+ * @param {string} query - GraphQL document
+ * @param {Object} [variables] - Operation variables
+ * @param {string} [operationName] - Operation selected in multi-operation documents
+ * @returns {Array} `['graphql', operationName, variables]`
+ */
+function graphqlKey(query, variables, operationName) { // operation name keeps keys readable in devtools
+  const { name } = getOperationInfo(query, operationName);
+  return ['graphql', name || `anonymous:${hashString(String(query))}`, variables || {}];
+}
+
+/**
+ * Convert GraphQL `errors[]` into an ApiError
+ *
+ * @param {Array<Object>} errors - GraphQL errors
+ * @param {Object} details - Request details and response body
+ * @returns {ApiError} Error carrying `graphQLErrors`
+ */
+function toGraphQLError(errors, details) { // same shape as REST failures
+  const codes = errors.map((error) => error && error.extensions && error.extensions.code).filter(Boolean);
+  const status = codes.map((code) => GRAPHQL_ERROR_STATUS[code]).find(Boolean) ?? details.status ?? 200; // first known code wins
+  const messages = errors.map((error) => (error && error.message) || 'Unknown GraphQL error').join('; ');
+  const apiError = new ApiError(`${status}: ${messages}`, { status, code: codes[0] ?? null, method: 'POST', url: details.url, body: details.body }); // legacy "<status>: <body>" message
+  apiError.graphQLErrors = errors; // full list including paths and locations
+  return apiError;
+}
+
+/**
+ * Send a GraphQL operation through an API client
+ *
+ * Resolves with the `data` field. Responses with `errors[]` reject with an
+ * ApiError (partial data stays available as `error.body.data`).
+ *
+ * @param {string} query - GraphQL document
+ * @param {Object} [variables] - Operation variables
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.client] - API client (defaults to the shared client)
+ * @param {string} [options.endpoint='/graphql'] - GraphQL endpoint
+ * @param {string} [options.operationName] - Operation to run in multi-operation documents
+ * @param {string} [options.on401='throw'] - 'returnNull' resolves null for unauthenticated errors
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Object} [options.headers] - Extra headers
+ * @param {boolean|Object} [options.retry] - Retry policy override
+ * @param {Function|Object} [options.schema] - Schema for the `data` field (see `lib/schema.js`)
+ * @returns {Promise<*>} Operation data
+ */
+async function graphqlRequest(query, variables, options = {}) {
+  const { client = defaultApiClient, endpoint = DEFAULT_GRAPHQL_ENDPOINT, on401 = 'throw', signal, headers, retry, schema } = options;
+  const { type, name } = getOperationInfo(query, options.operationName);
+  const operationName = options.operationName || name || undefined; // omitted for anonymous operations
+  console.log(`graphqlRequest is running ${type} ${operationName || 'anonymous'}`); // entry log for tracing
+  try {
+    const body = await client.apiRequest(endpoint, 'POST', { query, variables: variables || {}, operationName }, {
+      signal,
+      headers,
+      retry,
+      queue: type === 'mutation' ? undefined : false // reads must fail fast instead of waiting in the offline queue
+    });
+    if (body && body.queued) { return body; } // offline queue marker for mutations
+    if (body && Array.isArray(body.errors) && body.errors.length > 0) { throw toGraphQLError(body.errors, { url: endpoint, body }); }
+    const data = body && body.data !== undefined ? body.data : null;
+    return schema ? validateResponse(schema, data, { url: endpoint, method: 'POST' }) : data;
+  } catch (err) {
+    const error = err && Array.isArray(err.body?.errors) && !err.graphQLErrors // HTTP failure carrying a GraphQL body
+      ? toGraphQLError(err.body.errors, { url: endpoint, body: err.body, status: err.status })
+      : err;
+    if (handle401Error(error, on401)) { return null; } // optional data for signed-out users, same as getQueryFn
+    throw error;
+  }
+}
+
+/**
+ * React Query hook running a GraphQL query
+ *
+ * @param {string} query - GraphQL document
+ * @param {Object} [variables] - Operation variables
+ * @param {Object} [options] - graphqlRequest options plus `queryOptions` for useQuery
+ * @returns {Object} React Query result
+ */
+function useGraphQLQuery(query, variables, options = {}) {
+  const { client = defaultApiClient, queryOptions = {}, ...requestOptions } = options;
+  return useQuery({
+    queryKey: graphqlKey(query, variables, requestOptions.operationName),
+    queryFn: ({ signal }) => graphqlRequest(query, variables, { ...requestOptions, client, signal }), // React Query cancels stale operations
+    ...queryOptions
+  }, client.queryClient);
+}
+
+/**
+ * React Query mutation hook running a GraphQL mutation
+ *
+ * `mutate(variables)` sends the mutation. `invalidates` lists operation names
+ * whose cached queries are refetched after success.
+ *
+ * @param {string} mutation - GraphQL document
+ * @param {Object} [options] - graphqlRequest options, `invalidates` and useMutation options
+ * @param {Array<string>} [options.invalidates] - Operation names to invalidate on success
+ * @returns {Object} React Query mutation result
+ */
+function useGraphQLMutation(mutation, options = {}) {
+  const { client = defaultApiClient, invalidates = [], endpoint, operationName, headers, retry, schema, on401, ...mutationOptions } = options;
+  const { queryClient } = client;
+  return useMutation({
+    ...mutationOptions,
+    mutationFn: (variables) => graphqlRequest(mutation, variables, { client, endpoint, operationName, headers, retry, schema, on401 }),
+    onSuccess: async (data, variables, context) => {
+      await Promise.all(invalidates.map((name) => queryClient.invalidateQueries({ queryKey: ['graphql', name] }))); // every variables variant of the operation
+      await mutationOptions.onSuccess?.(data, variables, context);
+    }
+  }, queryClient);
+}
+
+module.exports = { // GraphQL helpers via CommonJS
+  graphqlRequest,          // GraphQL transport // public for non-React callers
+  useGraphQLQuery,         // query hook // public for components
+  useGraphQLMutation,      // mutation hook // public for components
+  graphqlKey,              // cache key builder // exported for manual cache updates
+  getOperationInfo,        // operation type and name // exported for custom transports
+  DEFAULT_GRAPHQL_ENDPOINT // default endpoint // exported for documentation
+}; // end GraphQL exports
@@ -20,10 +20,11 @@ const { showToast, toastSuccess, toastError } = require('./utils'); // toast uti
 const { executeWithErrorToast, executeWithToastFeedback } = require('./toastIntegration'); // toast wrappers used outside hooks
 const { isFunction, isObject, safeStringify, isAxiosErrorWithStatus } = require('./validation'); // import validation utilities
 const { executeWithErrorHandling, executeSyncWithErrorHandling } = require('./errorHandling'); // import error handling utilities
+const { applyOptimisticUpdate, rollbackOptimisticUpdate, settleOptimisticUpdate } = require('./optimistic'); // cache snapshot/patch/rollback helpers
 const { cn } = require('./classNames'); // import class name merging utility
 const { createSubTrigger, createContextMenuSubTrigger, createMenubarSubTrigger, LazyImagePreview } = require('./components'); // import component factories and lazy image component
 const { useForm, useFormSubmission, formValidation, FormField, TextInputField, TextareaField, SelectField, CheckboxField } = require('./forms'); // import form utilities and components
-const { useToast, useAdvancedToast, toast, advancedToast, getAdvancedToastCount, clearAllAdvancedToasts, getAdvancedToastTimeoutCount, clearToastTimeout, subscribe: advancedToastSubscribe, getState: advancedToastGetState, reducer: advancedToastReducer, actionTypes: advancedToastActionTypes, dispatch: advancedToastDispatch } = require('./advancedToast'); // import advanced toast system
+const { useToast, useAdvancedToast, toast, advancedToast, getAdvancedToastCount, getQueuedToastCount, configureToasts, promiseToast, pauseToast, resumeToast, clearAllAdvancedToasts, getAdvancedToastTimeoutCount, clearToastTimeout, subscribe: advancedToastSubscribe, getState: advancedToastGetState, reducer: advancedToastReducer, actionTypes: advancedToastActionTypes, dispatch: advancedToastDispatch } = require('./advancedToast'); // import advanced toast system
 const { showSuccessToast, showErrorToast, showInfoToast, showWarningToast, showSuccess, showError, showInfo, showWarning } = require('./toastUtils'); // import toast utility functions
 
 const { nanoid } = require('nanoid'); // use nanoid for unique IDs to avoid global counter
@@ -195,17 +196,26 @@ function useCallbackWithErrorHandling(operation, options, deps) {
  *   to handle errors as needed (e.g., for conditional rendering)
  * - Sets loading state in finally block to ensure it's always cleared, even if
  *   callbacks throw errors
+ * - `optimistic` patches the shared cache before asyncFn runs and restores the
+ *   snapshot before onError is called, so error handlers see the rolled back cache
+ * 
+ * Example:
+ *   useAsyncAction(rename, { optimistic: { queryKey: ['/api/projects'],
+ *     update: (old = [], vars) => old.map(p => p._id === vars._id ? { ...p, ...vars } : p) } });
  * 
  * @param {Function} asyncFn - The async function to execute
  * @param {Object} options - Options object with onSuccess and onError callbacks
+ * @param {Object|Array<Object>} [options.optimistic] - `{ queryKey, update(old, vars), invalidate?, queryClient? }` config(s), see lib/optimistic.js
  * @returns {Array} Returns [run, isLoading] tuple
  */
 function useAsyncAction(asyncFn, options) {
   console.log(`useAsyncAction is running with ${asyncFn}`); // entry log for tracing
   const mutation = useMutation({ // React Query mutation manages loading and caching
     mutationFn: async (...args) => asyncFn(...args), // delegate to caller provided function
+    onMutate: async (vars) => (options?.optimistic ? applyOptimisticUpdate(queryClient, options.optimistic, vars) : undefined), // snapshot and patch before the call
     onSuccess: async (res) => { await options?.onSuccess?.(res); }, // trigger optional success side effects
-    onError: async (err) => { await options?.onError?.(err); } // notify optional error handler
+    onError: async (err, vars, context) => { rollbackOptimisticUpdate(context); await options?.onError?.(err); }, // restore cache then notify optional error handler
+    onSettled: async (res, err, vars, context) => { await settleOptimisticUpdate(context); } // refetch patched keys that asked for it
   }, queryClient); // use shared query client for consistent cache
 
   const run = useCallback(
@@ -384,16 +394,20 @@ function useDropdownToggle() {
  * 
  * Design decisions:
  * - Uses an ID-based approach rather than index-based to handle dynamic lists
- * - Assumes items have an '_id' property (common in MongoDB/Mongoose applications)
+ * - Assumes items have an '_id' property (common in MongoDB/Mongoose applications);
+ *   pass `{ idKey }` for APIs using another field, e.g. a resource's `idKey`
  * - Starts with a copy of initialState and populates it with item data to ensure
  *   all expected fields are present even if the item is missing some properties
  * - Cancel resets to initialState rather than the original item values, providing
  *   a clean slate for potential new item creation
  * 
  * @param {Object} initialState - Initial form field values
+ * @param {Object} [options] - Edit form options
+ * @param {string} [options.idKey='_id'] - Item property holding the id
  * @returns {Object} Returns {editingId, fields, setField, startEdit, cancelEdit}
  */
-function useEditForm(initialState) {
+function useEditForm(initialState, options = {}) {
+  const { idKey = '_id' } = options; // Mongo-style ids unless caller says otherwise
   console.log(`useEditForm is running with ${JSON.stringify(initialState)}`); // entry log for debugging
   // editingId tracks which item is currently being edited; null means no item is being edited
   const [editingId, setEditingId] = useState(null); // identifier of item in edit mode
@@ -409,16 +423,16 @@ function useEditForm(initialState) {
   // Start editing an existing item by populating form fields with item data
   const startEdit = useCallback((item) => {
     console.log(`startEdit is running with ${JSON.stringify(item)}`); // log entry
-    if (!item || !item._id) { // validate item presence before proceeding
+    if (!item || !item[idKey]) { // validate item presence before proceeding
       return; // exit early when item is missing or malformed
     }
-    setEditingId(item._id); // track which row is currently editable
+    setEditingId(item[idKey]); // track which row is currently editable
 
     const newFields = { ...initialState }; // default shape ensures all fields
     Object.keys(newFields).forEach((key) => { if (key in item) { newFields[key] = item[key]; } }); // copy only known keys
     setFields(newFields); // update with sanitized data
     console.log(`startEdit has run resulting in a final value of ${JSON.stringify(newFields)}`); // final log
-  }, [initialState]); // recreate when initialState changes
+  }, [initialState, idKey]); // recreate when initialState or id field changes
 
   // Cancel editing and reset form to initial state
   const cancelEdit = useCallback(() => {
@@ -485,28 +499,51 @@ function useIsMobile() {
 
 /**
  * React hook that combines async actions with advanced toast notifications
+ *
+ * With `options.optimistic` the cache is patched immediately; on failure the
+ * patch is rolled back and the error toast shown in the same error handler.
+ * With `options.loading` a loading toast is shown while the action runs and
+ * becomes the success or error toast (see `toast.promise`).
+ *
  * @param {Function} asyncFn - The async operation to run
  * @param {string} successMsg - Message to show on success
  * @param {Function} refresh - Optional callback to refresh data
+ * @param {Object} [options] - Extra options
+ * @param {Object|Array<Object>} [options.optimistic] - Optimistic cache update config(s) passed to useAsyncAction
+ * @param {string|Object} [options.loading] - Loading toast content shown while the action runs
  * @returns {Array} Returns [run, isLoading] tuple
  */
-function useToastAction(asyncFn, successMsg, refresh) {
+function useToastAction(asyncFn, successMsg, refresh, options = {}) {
   console.log(`useToastAction is running with ${asyncFn}`); // entry log for tracing
   const { toast } = useAdvancedToast(); // acquire advanced toast dispatcher
+  const { loading } = options;
+  const optimisticRef = useRef(options.optimistic); // inline configs would otherwise rebuild the callbacks every render
+  optimisticRef.current = options.optimistic;
+  const action = useCallback(
+    (...args) => (loading === undefined ? asyncFn(...args) : toast.promise(() => asyncFn(...args), { // one toast from spinner to result
+      loading,
+      success: () => ({ title: "Success", description: successMsg }),
+      error: (error) => ({ title: "Error", description: error instanceof Error ? error.message : `Operation failed` })
+    })),
+    [asyncFn, toast, loading, successMsg]
+  ); // plain asyncFn when no loading toast is requested
   const callbacks = useMemo(
     () => ({ // memoize callbacks so reference stays stable
     onSuccess: async (result) => {
-      toast({ // trigger success toast with provided message
-        title: "Success",
-        description: successMsg,
-        variant: "success"
-      });
+      if (loading === undefined) { // the promise toast already shows success
+        toast({ // trigger success toast with provided message
+          title: "Success",
+          description: successMsg,
+          variant: "success"
+        });
+      }
       if (isFunction(refresh)) { // ensure refresh is callable to avoid runtime errors
         await refresh(); // run refresh callback after success when provided
       }
       return result;
     },
     onError: (error) => {
+      if (loading !== undefined) { return; } // the promise toast already shows the error
       const msg = error instanceof Error ? error.message : `Operation failed`;
       toast({ // show error toast with message
         title: "Error",
@@ -514,10 +551,11 @@ function useToastAction(asyncFn, successMsg, refresh) {
         variant: "error"
       });
     },
+    get optimistic() { return optimisticRef.current; }, // read when the action runs; rollback runs right before the error toast
     }),
-    [toast, successMsg, refresh]
+    [toast, successMsg, refresh, loading]
   ); // recompute only when dependencies change
-  const [run, isLoading] = useAsyncAction(asyncFn, callbacks); // wrap operation in library's loading pattern
+  const [run, isLoading] = useAsyncAction(action, callbacks); // wrap operation in library's loading pattern
   console.log(`useToastAction is returning run and loading ${isLoading}`); // exit log for tracing
   return [run, isLoading]; // result tuple for caller convenience
 }
@@ -768,9 +806,26 @@ function useApiKeyPref() {
 
 // Import specialized modules
 const { usePageFocus } = require('./accessibility'); // accessibility hooks
-const { useSocket } = require('./socket'); // WebSocket communication hooks
+const { useSocket, useSocketEvent, useSocketStatus, usePaymentSocket } = require('./socket'); // WebSocket communication hooks
+const { socketManager, createSocketManager } = require('./socketManager'); // shared socket connections
+const { usePresence } = require('./presence'); // room members and typing indicators
 const { stopEvent } = require('./dom'); // DOM utilities
-const { apiRequest, getQueryFn, queryClient, formatAxiosError, axiosClient } = require('./api'); // API helpers and clients
+const { apiRequest, getQueryFn, queryClient, formatAxiosError, axiosClient, createApiClient, addApiMiddleware, registerUrlBuilder, requestCache, enableOfflineQueue } = require('./api'); // API helpers and clients
+const { createAuthMiddleware } = require('./apiMiddleware'); // auth middleware factory
+const { ApiError, isApiError, ValidationError, isValidationError, SocketError, isSocketError } = require('./apiError'); // structured request errors
+const { validateResponse } = require('./schema'); // response schema validation
+const { graphqlRequest, useGraphQLQuery, useGraphQLMutation, graphqlKey } = require('./graphql'); // GraphQL transport and hooks
+const { useEventSource } = require('./eventSource'); // Server-Sent Events hook
+const { applyEventToCache, bindSocketToCache } = require('./cacheBridge'); // realtime event cache rules
+const { mockServer, createMockServer } = require('./mockServer'); // offline route registry
+const { DEFAULT_RETRY_POLICY, computeBackoff, parseRetryAfter } = require('./retry'); // retry policy helpers
+const { queryKeyToUrl, stableQueryString } = require('./queryKey'); // query key URL helpers
+const { createResource } = require('./resource'); // CRUD hook factory
+const { usePaginatedQuery, useInfiniteList, defaultPageAdapter } = require('./pagination'); // paginated and infinite list hooks
+const { uploadFile, useUpload } = require('./upload'); // multipart and chunked uploads
+const { createOfflineQueue, useOfflineQueue } = require('./offlineQueue'); // offline write queue
+const { createMemoryStorage, createLocalStorage, createIndexedDBStorage, resolveStorage } = require('./storage'); // persistence adapters
+const { persistQueryClient, dehydrateCache, hydrateCache } = require('./persistCache'); // query cache persistence
 const { parseVitestResults } = require('./testUtils'); // test result parsing utilities
 const { makeCopyFn, copyToClipboard } = require('./clipboard'); // clipboard utilities
 
@@ -788,7 +843,13 @@ module.exports = { // consolidated export for entire hooks library
   useToastAction,      // async action with advanced toast integration // exported to reduce toast boilerplate
   useAuthRedirect,     // redirect based on auth state // public to standardize auth navigation
   usePageFocus,        // accessibility focus management for route changes // exported for keyboard navigation
-  useSocket,           // WebSocket communication for payments and usage // exported for real-time updates
+  useSocket,           // WebSocket connection with rooms and event handlers // exported for real-time updates
+  useSocketEvent,      // listen on a useSocket connection // exported for child components
+  useSocketStatus,     // shared socket connection status // exported for status indicators
+  socketManager,       // shared ref-counted socket pool // exported for non-React code
+  createSocketManager, // isolated socket pool // exported for tests and separate pools
+  usePaymentSocket,    // payment and usage socket preset // exported for billing screens
+  usePresence,         // socket room presence // exported for collaborative screens
   isFunction,          // type guard for function validation // exported for callback verification
   isObject,            // type guard for object validation // exported for safe property access
   safeStringify,       // safe JSON stringify with circular handling // exported for consistent logging
@@ -813,6 +874,11 @@ module.exports = { // consolidated export for entire hooks library
   toast,               // imperative toast creation function // exported for programmatic toast notifications
   advancedToast,       // imperative advanced toast creation // exported for programmatic toast notifications (legacy)
   getAdvancedToastCount, // get active advanced toast count // exported for testing and debugging
+  getQueuedToastCount,   // get queued advanced toast count // exported for testing and debugging
+  configureToasts,       // configure the open toast limit and durations // exported for per-app setup
+  promiseToast,          // toast following a promise // exported alongside toast.promise
+  pauseToast,            // pause toast auto-dismissal // exported for hover and focus handlers
+  resumeToast,           // resume toast auto-dismissal // exported for hover and focus handlers
   clearAllAdvancedToasts, // clear all advanced toasts // exported for cleanup
   getAdvancedToastTimeoutCount, // get advanced toast timeout count // exported for testing
   clearToastTimeout,     // clear specific toast timeout // exported for manual timeout cancellation
@@ -840,6 +906,51 @@ module.exports = { // consolidated export for entire hooks library
   queryClient,         // shared query client // exported so apps reuse the same client
   formatAxiosError,    // convert axios errors to Error // public to keep error shape consistent
   axiosClient,         // configured axios instance // exported so consumers share defaults
+  createApiClient,     // per-backend client factory // exported so apps can talk to several backends
+  addApiMiddleware,    // register middleware on default client // exported so apps extend the shared request path
+  createAuthMiddleware, // bearer token + refresh middleware // exported so apps stop hand-rolling interceptors
+  ApiError,            // structured request error // exported so callers branch on status without parsing messages
+  isApiError,          // ApiError guard // exported for cross-bundle checks
+  ValidationError,     // response schema mismatch // exported so callers branch on contract drift
+  isValidationError,   // ValidationError guard // exported for cross-bundle checks
+  SocketError,         // socket emit failure // exported for instanceof checks
+  isSocketError,       // SocketError guard // exported for cross-bundle checks
+  validateResponse,    // run a response schema // exported for custom fetchers
+  mockServer,          // default offline route registry // exported so apps register OFFLINE_MODE routes
+  createMockServer,    // isolated offline route registry // exported for tests and per-client mocks
+  DEFAULT_RETRY_POLICY, // default request retry policy // exported so apps can extend it
+  computeBackoff,      // exponential backoff with jitter // exported for custom retry loops
+  parseRetryAfter,     // Retry-After header parser // exported for custom retry loops
+  registerUrlBuilder,  // per-key URL builders on default client // exported so special endpoints keep the default queryFn
+  queryKeyToUrl,       // query key to URL mapping // exported so custom query functions build identical URLs
+  stableQueryString,   // deterministic query strings // exported for hand-built URLs
+  requestCache,        // default client GET dedupe/cache // exported so apps can clear it on logout
+  createResource,      // CRUD resource hooks // exported so entity screens share cache conventions
+  applyOptimisticUpdate, // snapshot and patch cache // exported for custom mutations
+  rollbackOptimisticUpdate, // restore cache snapshots // exported for custom mutations
+  settleOptimisticUpdate, // invalidate patched keys // exported for custom mutations
+  usePaginatedQuery,   // page at a time queries // exported for tables
+  useInfiniteList,     // infinite scroll lists // exported for feeds and long lists
+  defaultPageAdapter,  // pagination response inference // exported so custom adapters can wrap it
+  uploadFile,          // multipart/chunked uploads with progress // exported for non-React callers
+  useUpload,           // upload state hook // exported for components
+  enableOfflineQueue,  // offline write queue on default client // exported so apps opt in at startup
+  createOfflineQueue,  // offline write queue factory // exported for custom transports
+  useOfflineQueue,     // offline queue state hook // exported for offline banners and conflict UIs
+  createMemoryStorage, // in-memory storage adapter // exported for tests and Node
+  createLocalStorage,  // localStorage adapter // exported for explicit backend choice
+  createIndexedDBStorage, // IndexedDB adapter // exported for explicit backend choice
+  resolveStorage,      // best available storage adapter // exported for custom persistence
+  persistQueryClient,  // save and restore the query cache // exported for fast reloads
+  dehydrateCache,      // serialize the query cache // exported for SSR
+  hydrateCache,        // restore a serialized cache // exported for SSR
+  graphqlRequest,      // GraphQL over the shared client // exported for non-React callers
+  useGraphQLQuery,     // GraphQL query hook // exported for components
+  useGraphQLMutation,  // GraphQL mutation hook // exported for components
+  graphqlKey,          // GraphQL cache keys // exported for manual cache updates
+  useEventSource,      // Server-Sent Events stream hook // exported for one-way realtime updates
+  applyEventToCache,   // realtime event cache rules // exported for custom transports
+  bindSocketToCache,   // socket events into the query cache // exported for non-React code
   // Logging utilities
   logger,
   log,
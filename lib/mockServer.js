@@ -0,0 +1,210 @@
+/**
+ * Offline Mock Server Module
+ *
+ * Provides a route registry consulted by `codexRequest` when `OFFLINE_MODE`
+ * is enabled. Previously every offline request resolved to the same hard-coded
+ * mock, so demos without a backend rendered screens full of nulls. Routes are
+ * registered by method and URL pattern; handlers receive path params, query
+ * params and the request body, can choose status codes, simulate latency, and
+ * share an in-memory `state` object so create/list flows behave realistically.
+ *
+ * Responses are shaped like axios responses, and non-2xx statuses are thrown as
+ * axios-style errors so `formatAxiosError`, 401 handling and middleware treat
+ * mocked failures exactly like real ones.
+ *
+ * Example:
+ *   mockServer.register('GET', '/api/items/:id', ({ params, state }) => state.items[params.id]);
+ *   mockServer.register('POST', '/api/items', ({ body, reply }) => reply(201, { ...body, _id: 'new' }));
+ */
+
+const REPLY_MARKER = Symbol('mockReply'); // tags explicit replies so plain data can contain a `status` key
+
+/**
+ * Build a reply descriptor for handlers that need a status or headers
+ *
+ * @param {number} status - HTTP status code
+ * @param {*} [data] - Response body
+ * @param {Object} [headers] - Response headers
+ * @returns {Object} Reply descriptor understood by the mock server
+ */
+function reply(status, data, headers = {}) { // explicit status keeps plain return values unambiguous
+  return { [REPLY_MARKER]: true, status, data, headers };
+}
+
+/**
+ * Compile a route pattern into a matcher
+ *
+ * Supports `:param` segments and a trailing `*` wildcard. RegExp patterns are
+ * used as-is against the leading-slash path with named groups exposed as params.
+ *
+ * @param {string|RegExp} pattern - URL pattern
+ * @returns {Function} Matcher returning params or null
+ */
+function compilePattern(pattern) { // convert express-style paths into regex matchers
+  if (pattern instanceof RegExp) { // caller supplied regex
+    return (path) => { const match = pattern.exec(path); return match ? { ...(match.groups || {}) } : null; };
+  }
+  const keys = []; // param names in order of appearance
+  const source = String(pattern)
+    .replace(/^\/*/, '/') // patterns match with or without a leading slash
+    .replace(/\/+$/, '') // ignore trailing slashes
+    .split('/')
+    .map((segment) => {
+      if (segment === '*') { return '.*'; } // wildcard matches the rest of the path
+      if (segment.startsWith(':')) { keys.push(segment.slice(1)); return '([^/]+)'; } // capture param segment
+      return segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&'); // escape literal characters
+    })
+    .join('/');
+  const regex = new RegExp(`^${source}/?$`); // allow optional trailing slash on requests
+  return (path) => { // matcher closure
+    const match = regex.exec(path);
+    if (!match) { return null; }
+    return keys.reduce((params, key, index) => ({ ...params, [key]: decodeURIComponent(match[index + 1]) }), {}); // decode so ids match stored values
+  };
+}
+
+/**
+ * Split a request URL into path and query
+ *
+ * @param {string} url - Relative or absolute URL
+ * @returns {{path: string, query: Object}} Path without origin (always starting with '/') and parsed query
+ */
+function splitUrl(url = '') { // handle absolute URLs produced by baseURL-less callers
+  const parsed = new URL(url, 'http://mock.local'); // dummy origin lets relative URLs parse
+  const query = {}; // collect query params as plain object
+  parsed.searchParams.forEach((value, key) => { query[key] = value; });
+  return { path: parsed.pathname, query }; // pathname always has a leading slash so 'api/x' and '/api/x' match alike
+}
+
+/**
+ * Wait for simulated latency
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function wait(ms) { // small helper so latency stays readable
+  return ms > 0 ? new Promise((resolve) => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+/**
+ * Create an independent mock server
+ *
+ * @param {Object} [options] - Server options
+ * @param {number} [options.delay=0] - Default latency applied to every route
+ * @returns {Object} Mock server with register, loadFixtures, handle and reset
+ */
+function createMockServer(options = {}) { // factory so tests and apps can isolate routes
+  const routes = []; // registered routes searched in order
+  let state = {}; // shared in-memory store handed to handlers
+  const defaultDelay = options.delay ?? 0; // latency applied when route has none
+
+  /**
+   * Register a route handler
+   *
+   * @param {string} method - HTTP method or '*' for any
+   * @param {string|RegExp} pattern - Path pattern such as '/api/items/:id'
+   * @param {Function|*} handler - Function receiving the request, or static data
+   * @param {Object} [routeOptions] - Route options
+   * @param {number} [routeOptions.delay] - Latency in milliseconds for this route
+   * @param {number} [routeOptions.status] - Status used when handler returns plain data
+   * @returns {Function} Function removing the route
+   */
+  function register(method, pattern, handler, routeOptions = {}) { // later registrations win so overrides are easy
+    const route = { method: String(method).toUpperCase(), match: compilePattern(pattern), handler, options: routeOptions };
+    routes.unshift(route); // newest first so tests can override fixture routes
+    return () => { // remover mirrors subscribe helpers
+      const index = routes.indexOf(route);
+      if (index > -1) { routes.splice(index, 1); }
+    };
+  }
+
+  /**
+   * Load routes from fixture data or a JSON fixture file
+   *
+   * Fixtures are an array (or `{ routes: [...] }`) of
+   * `{ method, path, status, body, headers, delay }` entries. Passing a string
+   * reads that JSON file, which only works under Node.
+   *
+   * @param {string|Array|Object} source - Fixture file path or fixture data
+   * @returns {number} Number of routes registered
+   */
+  function loadFixtures(source) { // static responses for demos without writing handlers
+    let fixtures = source; // assume data was passed directly
+    if (typeof source === 'string') { // file path under Node
+      const fs = require('fs'); // lazy so browser bundles never load fs
+      fixtures = JSON.parse(fs.readFileSync(source, 'utf8'));
+    }
+    const list = Array.isArray(fixtures) ? fixtures : (fixtures?.routes || []); // accept bare array or wrapper object
+    list.forEach((fixture) => {
+      register(fixture.method || 'GET', fixture.path, () => reply(fixture.status ?? 200, fixture.body ?? null, fixture.headers), { delay: fixture.delay });
+    });
+    return list.length; // report count for logging
+  }
+
+  /**
+   * Resolve a request config against registered routes
+   *
+   * @param {Object} config - Axios-style request config
+   * @returns {Promise<Object|undefined>} Axios-style response, or undefined when no route matches
+   * @throws {Object} Axios-style error for status codes >= 400
+   */
+  async function handle(config = {}) { // called by codexRequest in offline mode
+    const method = String(config.method || 'GET').toUpperCase(); // axios default is GET
+    const { path, query } = splitUrl(config.url); // separate query string from path
+    for (const route of routes) { // first match wins
+      if (route.method !== '*' && route.method !== method) { continue; } // method mismatch
+      const params = route.match(path); // null when pattern does not match
+      if (!params) { continue; }
+      const request = {
+        method,
+        url: config.url,
+        path,
+        params,
+        query: { ...query, ...(config.params || {}) }, // axios params merge with query string
+        body: config.data,
+        headers: config.headers || {},
+        state,
+        reply
+      };
+      const result = typeof route.handler === 'function' ? await route.handler(request) : route.handler; // static data allowed
+      const explicit = result && result[REPLY_MARKER]; // handler used reply()
+      const status = explicit ? result.status : (route.options.status ?? 200);
+      const response = { status, statusText: String(status), data: explicit ? result.data : result, headers: explicit ? result.headers : {}, config };
+      await wait(route.options.delay ?? defaultDelay); // simulate network latency
+      if (status >= 400) { // mirror axios rejecting non-2xx responses
+        const error = new Error(`Request failed with status code ${status}`);
+        error.isAxiosError = true; // recognized by formatAxiosError and handle401Error
+        error.config = config;
+        error.response = response;
+        throw error;
+      }
+      return response; // axios-shaped success
+    }
+    return undefined; // no route so codexRequest falls back to its default mock
+  }
+
+  /**
+   * Remove every route and clear shared state
+   */
+  function reset() { // test helper for isolation
+    routes.length = 0;
+    state = {};
+  }
+
+  return {
+    register,
+    loadFixtures,
+    handle,
+    reset,
+    get state() { return state; }, // expose store so tests can seed or inspect it
+    get routeCount() { return routes.length; } // exposed for debugging
+  };
+}
+
+const mockServer = createMockServer(); // default registry consulted by the shared API client
+
+module.exports = { // mock server helpers via CommonJS
+  createMockServer, // factory for isolated registries // public for tests and multi-backend demos
+  mockServer,       // default registry // public so apps register offline routes in one place
+  reply             // reply descriptor helper // public for handlers defined outside this module
+}; // end mock server exports
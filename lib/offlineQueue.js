@@ -0,0 +1,240 @@
+/**
+ * Offline Mutation Queue Module
+ *
+ * When an API client is created with `offlineQueue` enabled, non-GET requests
+ * that fail because the network is unreachable are stored instead of thrown.
+ * The call resolves with `{ queued: true, id }` so optimistic UIs can keep
+ * their local change, and the queue replays stored requests in their original
+ * order once connectivity returns (the browser `online` event or `replay()`).
+ *
+ * Entries are persisted through `lib/storage.js` (IndexedDB, localStorage, or
+ * memory under Node) so writes survive a reload. During replay a network or
+ * transient server failure stops the run and keeps the remaining entries for
+ * the next attempt, while a client error such as 409 or 422 means the server
+ * rejected the write: the entry moves to `conflicts` and replay continues.
+ * Conflicts stay until the app retries or discards them.
+ */
+
+const { useState, useEffect, useCallback } = require('react'); // hook primitives
+const { nanoid } = require('nanoid'); // entry ids reuse the library's id generator
+const { resolveStorage } = require('./storage'); // persistence backend
+
+/**
+ * Statuses that mean "try again later" rather than "the server refused"
+ */
+const TRANSIENT_STATUSES = [401, 408, 429]; // auth refresh, timeouts and rate limits resolve themselves
+
+/**
+ * Default conflict check used during replay
+ *
+ * @param {Object} error - Normalized ApiError from the replayed request
+ * @returns {boolean} True when the server rejected the request for good
+ */
+function isReplayConflict(error) { // 4xx except transient ones
+  const status = error && error.status;
+  return typeof status === 'number' && status >= 400 && status < 500 && !TRANSIENT_STATUSES.includes(status);
+}
+
+/**
+ * Whether the current environment reports being online
+ *
+ * @returns {boolean} False only when the browser says it is offline
+ */
+function isBrowserOnline() { // Node has no navigator.onLine, assume online
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+/**
+ * Create a persistent queue of failed writes
+ *
+ * @param {Object} options - Queue options
+ * @param {Function} options.send - `(entry) => Promise` performing a stored request
+ * @param {Object|string} [options.storage] - Storage adapter or backend name (see `lib/storage.js`)
+ * @param {string} [options.storageKey='qreactutils:offline-queue'] - Key holding the persisted queue
+ * @param {Function} [options.isConflict] - `(error) => boolean` deciding which replay failures are conflicts
+ * @param {Function} [options.onConflict] - Called with each new conflict
+ * @param {boolean} [options.autoReplay=true] - Replay on load and on the browser `online` event
+ * @returns {Object} Queue with enqueue, replay, resolveConflict, clear, subscribe and getState
+ */
+function createOfflineQueue(options = {}) { // one queue per API client
+  const {
+    send,
+    storage: storagePreference,
+    storageKey = 'qreactutils:offline-queue',
+    isConflict = isReplayConflict,
+    onConflict,
+    autoReplay = true
+  } = options;
+  if (typeof send !== 'function') { throw new Error('createOfflineQueue requires a send function'); } // nothing to replay with
+  const storage = resolveStorage(storagePreference);
+  let entries = []; // pending requests, oldest first
+  let conflicts = []; // rejected requests waiting for the app
+  let isReplaying = false;
+  let replayPromise = null; // shared by concurrent replay calls
+  const listeners = new Set(); // subscribers notified after every change
+
+  function getState() { // snapshot for hooks and debugging
+    return { pending: entries.length, entries: entries.slice(), conflicts: conflicts.slice(), isReplaying };
+  }
+
+  function notify() { const state = getState(); listeners.forEach((listener) => listener(state)); }
+
+  function persist() { // write-through; storage errors are logged so the in-memory queue keeps working
+    return storage.setItem(storageKey, { entries, conflicts }).catch((error) => {
+      console.log(`offlineQueue failed to persist: ${error.message}`);
+    });
+  }
+
+  const ready = storage.getItem(storageKey).then((saved) => { // restore entries from a previous session
+    if (saved) {
+      entries = [...(saved.entries || []), ...entries]; // stored entries are older than anything queued while loading
+      conflicts = [...(saved.conflicts || []), ...conflicts];
+      notify();
+    }
+  }).catch((error) => { console.log(`offlineQueue failed to load: ${error.message}`); });
+
+  /**
+   * Store a failed request
+   *
+   * @param {Object} request - `{ url, method, data, headers }`
+   * @returns {Promise<{queued: true, id: string}>} Marker returned to the original caller
+   */
+  async function enqueue(request) {
+    await ready; // keep order relative to restored entries
+    const entry = { id: nanoid(), url: request.url, method: request.method, data: request.data, headers: request.headers, createdAt: Date.now() };
+    entries.push(entry);
+    console.log(`offlineQueue queued ${entry.method} ${entry.url}`); // trace queued writes for debugging
+    await persist();
+    notify();
+    return { queued: true, id: entry.id };
+  }
+
+  async function runReplay() { // send entries one at a time so the server sees the original order
+    await ready;
+    const summary = { replayed: 0, conflicts: 0 };
+    while (entries.length > 0) {
+      const entry = entries[0];
+      try {
+        await send(entry);
+        summary.replayed++;
+      } catch (error) {
+        if (!isConflict(error)) { break; } // still offline or server trouble: keep the entry for the next run
+        const conflict = { ...entry, error: { message: error.message, status: error.status, body: error.body } }; // plain data so it persists; body is the server payload needed to resolve it
+        conflicts.push(conflict);
+        summary.conflicts++;
+        if (typeof onConflict === 'function') { onConflict(conflict, error); }
+      }
+      entries = entries.filter((item) => item.id !== entry.id); // entries may have been cleared meanwhile
+      await persist();
+      notify();
+    }
+    return { ...summary, remaining: entries.length };
+  }
+
+  /**
+   * Replay pending requests in order
+   *
+   * @returns {Promise<{replayed: number, conflicts: number, remaining: number}>} Outcome of this run
+   */
+  function replay() { // concurrent calls share the running replay
+    if (replayPromise) { return replayPromise; }
+    isReplaying = true;
+    notify();
+    replayPromise = runReplay().finally(() => {
+      isReplaying = false;
+      replayPromise = null;
+      notify();
+    });
+    return replayPromise;
+  }
+
+  /**
+   * Retry or discard a conflict
+   *
+   * @param {string} id - Conflict entry id
+   * @param {string} [action='discard'] - 'retry' re-queues the request at the end, 'discard' drops it
+   * @returns {Promise<void>} Resolves once persisted (and replayed for 'retry')
+   */
+  async function resolveConflict(id, action = 'discard') {
+    const conflict = conflicts.find((item) => item.id === id);
+    if (!conflict) { return; } // already handled
+    conflicts = conflicts.filter((item) => item.id !== id);
+    if (action === 'retry') {
+      const entry = { ...conflict };
+      delete entry.error; // the stored failure no longer applies
+      entries.push(entry);
+    }
+    await persist();
+    notify();
+    if (action === 'retry') { await replay(); }
+  }
+
+  async function clear() { // drop pending entries and conflicts, e.g. on logout
+    entries = [];
+    conflicts = [];
+    await persist();
+    notify();
+  }
+
+  function subscribe(listener) { listeners.add(listener); return () => { listeners.delete(listener); }; }
+
+  const handleOnline = () => { replay(); }; // connectivity is back
+  if (autoReplay) {
+    if (typeof window !== 'undefined' && window.addEventListener) { window.addEventListener('online', handleOnline); }
+    ready.then(() => { if (entries.length > 0 && isBrowserOnline()) { replay(); } }); // flush leftovers from the last session
+  }
+
+  function dispose() { // remove the online listener of this queue
+    if (typeof window !== 'undefined' && window.removeEventListener) { window.removeEventListener('online', handleOnline); }
+    listeners.clear();
+  }
+
+  return { enqueue, replay, resolveConflict, clear, subscribe, getState, dispose, ready };
+}
+
+/**
+ * React hook exposing an offline queue to the UI
+ *
+ * Defaults to the queue of the shared API client. When no queue is enabled the
+ * hook reports an empty state so components can render it unconditionally.
+ *
+ * @param {Object} [options] - Hook options
+ * @param {Object} [options.queue] - Queue to observe
+ * @param {Object} [options.client] - API client whose queue is observed (defaults to the shared client)
+ * @returns {Object} { pending, entries, conflicts, isReplaying, isOnline, replay, resolveConflict, clear }
+ */
+function useOfflineQueue(options = {}) {
+  const client = options.client || require('./api').defaultApiClient; // lazy require: api.js requires this module
+  const queue = options.queue || client.offlineQueue || null;
+  const [state, setState] = useState(() => (queue ? queue.getState() : { pending: 0, entries: [], conflicts: [], isReplaying: false }));
+  const [isOnline, setIsOnline] = useState(isBrowserOnline);
+
+  useEffect(() => { // follow queue changes
+    if (!queue) { return undefined; }
+    setState(queue.getState()); // catch up on changes made before subscribing
+    return queue.subscribe(setState);
+  }, [queue]);
+
+  useEffect(() => { // follow browser connectivity
+    if (typeof window === 'undefined' || !window.addEventListener) { return undefined; }
+    const update = () => setIsOnline(isBrowserOnline());
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  const replay = useCallback(() => (queue ? queue.replay() : Promise.resolve({ replayed: 0, conflicts: 0, remaining: 0 })), [queue]);
+  const resolveConflict = useCallback((id, action) => (queue ? queue.resolveConflict(id, action) : Promise.resolve()), [queue]);
+  const clear = useCallback(() => (queue ? queue.clear() : Promise.resolve()), [queue]);
+
+  return { ...state, isOnline, replay, resolveConflict, clear };
+}
+
+module.exports = { // offline queue via CommonJS
+  createOfflineQueue, // queue factory // used by api clients and custom setups
+  useOfflineQueue,    // queue state hook // public for offline banners and conflict UIs
+  isReplayConflict    // default conflict check // exported so custom checks can extend it
+}; // end offline queue exports
@@ -0,0 +1,85 @@
+/**
+ * Optimistic Update Module
+ *
+ * Helpers behind the `optimistic` option of `useAsyncAction` and
+ * `useToastAction`. Before the async call runs, the targeted cache entries are
+ * snapshotted and patched so the UI reflects the change immediately. If the
+ * call fails the snapshots are written back, leaving the cache exactly as it
+ * was before the attempt.
+ *
+ * An optimistic config looks like
+ *   { queryKey, update(old, variables), invalidate?, queryClient? }
+ * where `queryKey` may also be a function of the variables, e.g.
+ *   (vars) => ['/api/projects', vars._id]
+ * Several configs can be passed as an array to patch a list and an item at once.
+ */
+
+/**
+ * Normalize the optimistic option into an array of configs
+ *
+ * @param {Object|Array<Object>} optimistic - Single config or list of configs
+ * @returns {Array<Object>} Configs with an update function
+ */
+function toConfigList(optimistic) { // accept one config or many
+  const list = Array.isArray(optimistic) ? optimistic : [optimistic];
+  return list.filter((config) => config && typeof config.update === 'function'); // ignore incomplete entries instead of crashing render paths
+}
+
+/**
+ * Snapshot and patch the cache before a mutation runs
+ *
+ * Queries for the key are cancelled first so an in-flight refetch cannot
+ * overwrite the optimistic value when it lands.
+ *
+ * @param {QueryClient} defaultClient - Client used when a config has none
+ * @param {Object|Array<Object>} optimistic - Optimistic config(s)
+ * @param {*} variables - Mutation variables passed to `update`
+ * @returns {Promise<Object>} Context holding the snapshots for rollback
+ */
+async function applyOptimisticUpdate(defaultClient, optimistic, variables) { // runs in onMutate
+  const snapshots = []; // previous cache values in application order
+  for (const config of toConfigList(optimistic)) { // sequential so duplicate keys snapshot the right value
+    const client = config.queryClient || defaultClient; // allow caches of other api clients
+    const queryKey = typeof config.queryKey === 'function' ? config.queryKey(variables) : config.queryKey; // keys may depend on variables
+    await client.cancelQueries({ queryKey, exact: true }); // stop refetches from clobbering the patch
+    const previous = client.getQueryData(queryKey);
+    snapshots.push({ client, queryKey, previous, invalidate: !!config.invalidate });
+    client.setQueryData(queryKey, (old) => config.update(old, variables)); // apply patch
+  }
+  return { snapshots }; // React Query passes this context to onError/onSettled
+}
+
+/**
+ * Restore cache entries captured by applyOptimisticUpdate
+ *
+ * Snapshots are restored in reverse order so overlapping configs unwind cleanly.
+ *
+ * @param {Object} context - Context returned by applyOptimisticUpdate
+ */
+function rollbackOptimisticUpdate(context) { // runs in onError
+  const snapshots = context?.snapshots || []; // nothing to restore when onMutate never ran
+  [...snapshots].reverse().forEach(({ client, queryKey, previous }) => {
+    if (previous === undefined) { // React Query ignores setQueryData(key, undefined)
+      client.removeQueries({ queryKey, exact: true }); // entry did not exist before the patch
+      return;
+    }
+    client.setQueryData(queryKey, previous);
+  });
+}
+
+/**
+ * Invalidate patched keys whose config asked for it
+ *
+ * @param {Object} context - Context returned by applyOptimisticUpdate
+ * @returns {Promise<void>} Resolves when invalidation was triggered
+ */
+async function settleOptimisticUpdate(context) { // runs in onSettled
+  const snapshots = (context?.snapshots || []).filter((snapshot) => snapshot.invalidate); // opt-in refetch of server truth
+  await Promise.all(snapshots.map(({ client, queryKey }) => client.invalidateQueries({ queryKey, exact: true })));
+}
+
+module.exports = { // optimistic helpers via CommonJS
+  applyOptimisticUpdate,    // snapshot and patch // exported for custom mutations
+  rollbackOptimisticUpdate, // restore snapshots // exported for custom mutations
+  settleOptimisticUpdate    // optional invalidation // exported for custom mutations
+}; // end optimistic exports
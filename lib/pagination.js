@@ -0,0 +1,242 @@
+/**
+ * Pagination Module
+ *
+ * `usePaginatedQuery` (one page at a time) and `useInfiniteList` (pages
+ * appended for infinite scroll) built on the shared QueryClient and the
+ * `getQueryFn` URL conventions. Page params are merged into the query key's
+ * params object, so `['/api/items', { q }]` requests `/api/items?limit=20&page=2&q=...`.
+ *
+ * A response adapter turns each raw response into `{ items, next, total }`
+ * where `next` holds the params for the following page (or null at the end).
+ * That is how the strategy gets picked: the default adapter reads cursor fields
+ * (`nextCursor`, `next_cursor`, `cursor`), page fields (`page` with
+ * `totalPages`/`hasMore`) or offset fields (`offset`/`total`). Bare arrays fall
+ * back to the `strategy` option and count a short page as the last one. Apps
+ * with other response shapes pass their own adapter.
+ */
+
+const { useState, useCallback, useEffect, useRef, useMemo } = require('react'); // hook primitives
+const { useQuery, useInfiniteQuery, keepPreviousData } = require('@tanstack/react-query'); // React Query pagination support
+const { defaultApiClient } = require('./api'); // shared client unless callers pass another
+
+/**
+ * Default request param names for each strategy
+ */
+const DEFAULT_PARAM_NAMES = { page: 'page', offset: 'offset', cursor: 'cursor', limit: 'limit' }; // common REST conventions
+
+/**
+ * Pick the item array out of a response
+ *
+ * @param {*} response - Raw response data
+ * @returns {Array} Items of the page
+ */
+function extractItems(response) { // support the usual envelope names
+  if (Array.isArray(response)) { return response; }
+  const items = response?.items ?? response?.data ?? response?.results; // common envelope keys
+  return Array.isArray(items) ? items : [];
+}
+
+/**
+ * Default response adapter
+ *
+ * @param {*} response - Raw response data
+ * @param {Object} context - `{ pageParam, pageSize, strategy, paramNames }`
+ * @returns {{items: Array, next: Object|null, total: number|null}} Adapted page
+ */
+function defaultPageAdapter(response, context) { // infer the strategy from the response shape
+  const { pageParam = {}, pageSize, strategy, paramNames } = context;
+  const items = extractItems(response);
+  const body = Array.isArray(response) ? {} : (response || {}); // envelope fields live on objects only
+  const total = typeof body.total === 'number' ? body.total : null;
+  const cursorField = ['nextCursor', 'next_cursor'].find((field) => field in body); // present but null marks the last page
+  const nextCursor = cursorField ? body[cursorField] : (body.cursor && typeof body.cursor === 'object' && 'next' in body.cursor ? body.cursor.next : undefined); // cursor APIs
+  if (nextCursor !== undefined) { // cursor strategy
+    return { items, next: nextCursor ? { [paramNames.cursor]: nextCursor } : null, total };
+  }
+  if (typeof body.page === 'number') { // page strategy described by the server
+    const more = typeof body.totalPages === 'number' ? body.page < body.totalPages : (body.hasMore ?? body.hasNextPage ?? items.length >= pageSize);
+    return { items, next: more ? { [paramNames.page]: body.page + 1 } : null, total };
+  }
+  if (typeof body.offset === 'number' || (total !== null && strategy === 'offset')) { // offset strategy described by the server
+    const nextOffset = (body.offset ?? pageParam[paramNames.offset] ?? 0) + items.length;
+    const more = total !== null ? nextOffset < total : items.length >= pageSize;
+    return { items, next: more && items.length ? { [paramNames.offset]: nextOffset } : null, total };
+  }
+  const full = items.length >= pageSize; // bare arrays: a short page is the last page
+  if (!full) { return { items, next: null, total }; }
+  if (strategy === 'offset') { return { items, next: { [paramNames.offset]: (pageParam[paramNames.offset] ?? 0) + items.length }, total }; }
+  return { items, next: { [paramNames.page]: (pageParam[paramNames.page] ?? 1) + 1 }, total }; // page numbers start at 1
+}
+
+/**
+ * Split a base key into path segments and params
+ *
+ * @param {string|Array} baseKey - URL or query key
+ * @param {Object} [params] - Extra filter params
+ * @returns {{path: Array, params: Object}} Path segments and merged params
+ */
+function splitBaseKey(baseKey, params) { // params objects are merged so one object carries filters and page params
+  const segments = Array.isArray(baseKey) ? baseKey : [baseKey];
+  const path = segments.filter((segment) => !segment || typeof segment !== 'object');
+  const keyParams = segments.filter((segment) => segment && typeof segment === 'object').reduce((all, segment) => ({ ...all, ...segment }), {});
+  return { path, params: { ...keyParams, ...(params || {}) } };
+}
+
+/**
+ * Build the shared pagination setup used by both hooks
+ *
+ * @param {string|Array} baseKey - URL or query key
+ * @param {Object} options - Hook options
+ * @returns {Object} Normalized settings and a page fetcher
+ */
+function usePaginationSetup(baseKey, options) { // memoized config shared by both hooks
+  const { pageSize = 20, params, adapter = defaultPageAdapter, strategy = 'page', paramNames: names, client = defaultApiClient } = options;
+  const paramNames = { ...DEFAULT_PARAM_NAMES, ...(names || {}) };
+  const { path, params: filters } = splitBaseKey(baseKey, params);
+  const queryFn = useMemo(() => client.getQueryFn({ on401: 'throw' }), [client]); // reuse URL builders and retry of the client
+  const adapterRef = useRef(adapter); // latest adapter without changing query keys
+  adapterRef.current = adapter;
+
+  const fetchPage = useCallback(async (pageParam, signal) => { // request one page and adapt it
+    const requestKey = [...path, { ...filters, ...pageParam, [paramNames.limit]: pageSize }]; // page params join the filters
+    const response = await queryFn({ queryKey: requestKey, signal });
+    return adapterRef.current(response, { pageParam, pageSize, strategy, paramNames });
+  }, [JSON.stringify(path), JSON.stringify(filters), pageSize, strategy, JSON.stringify(paramNames), queryFn]); // serialize so inline objects do not refetch
+
+  return { path, filters, pageSize, paramNames, fetchPage, queryClient: client.queryClient };
+}
+
+/**
+ * Observe a sentinel element and load more when it scrolls into view
+ *
+ * @param {Function} onVisible - Called when the sentinel intersects
+ * @param {string} rootMargin - IntersectionObserver root margin
+ * @returns {Function} Callback ref for the sentinel element
+ */
+function useSentinelRef(onVisible, rootMargin) { // callback ref so sentinels can mount and unmount freely
+  const observerRef = useRef(null);
+  const onVisibleRef = useRef(onVisible); // latest handler without re-observing
+  onVisibleRef.current = onVisible;
+  useEffect(() => () => observerRef.current?.disconnect(), []); // stop observing on unmount
+  return useCallback((node) => {
+    observerRef.current?.disconnect(); // previous node is gone or replaced
+    observerRef.current = null;
+    if (!node || typeof IntersectionObserver === 'undefined') { return; } // SSR and old browsers fall back to manual loadMore
+    observerRef.current = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) { onVisibleRef.current(); }
+    }, { rootMargin });
+    observerRef.current.observe(node);
+  }, [rootMargin]);
+}
+
+/**
+ * React hook showing one page at a time
+ *
+ * Keeps the previous page visible while the next one loads. Page params are
+ * tracked as a stack, so cursor APIs can go back as easily as page APIs.
+ *
+ * @param {string|Array} baseKey - URL or query key such as ['/api/items', { q }]
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.pageSize=20] - Items per page, sent as `limit`
+ * @param {Object} [options.params] - Extra filter params
+ * @param {Function} [options.adapter] - `(response, context) => { items, next, total }`
+ * @param {string} [options.strategy='page'] - Fallback for bare array responses: 'page' or 'offset'
+ * @param {Object} [options.paramNames] - Override request param names (page, offset, cursor, limit)
+ * @param {Object} [options.client] - API client (defaults to the shared client)
+ * @param {Object} [options.queryOptions] - Extra useQuery options
+ * @returns {Object} { items, total, pageIndex, hasMore, hasPrevious, nextPage, previousPage, loadMore, isFetchingMore, reset, ...query }
+ */
+function usePaginatedQuery(baseKey, options = {}) {
+  console.log(`usePaginatedQuery is running with ${JSON.stringify(baseKey)}`); // entry log for tracing
+  const { path, filters, pageSize, paramNames, fetchPage, queryClient } = usePaginationSetup(baseKey, options);
+  const filterHash = JSON.stringify(filters);
+  const [stackState, setStackState] = useState({ filterHash, stack: [{}] }); // first page sends only the limit
+  const pageParams = stackState.filterHash === filterHash ? stackState.stack : [{}]; // new filters start from the first page without a stale render
+  const pageParam = pageParams[pageParams.length - 1];
+  const setPageParams = useCallback((update) => { // always write the stack for the current filters
+    setStackState((state) => {
+      const current = state.filterHash === filterHash ? state.stack : [{}];
+      return { filterHash, stack: update(current) };
+    });
+  }, [filterHash]);
+
+  const query = useQuery({
+    queryKey: [...path, { ...filters, ...pageParam, [paramNames.limit]: pageSize }, 'paginated'], // each page cached separately; marker keeps adapted pages apart from raw getQueryFn entries
+    queryFn: ({ signal }) => fetchPage(pageParam, signal),
+    placeholderData: keepPreviousData, // avoid flashing empty tables between pages
+    ...(options.queryOptions || {})
+  }, queryClient);
+
+  const next = query.isPlaceholderData ? null : query.data?.next ?? null; // placeholder belongs to the previous page
+  const nextPage = useCallback(() => { if (next) { setPageParams((stack) => [...stack, next]); } }, [next, setPageParams]);
+  const previousPage = useCallback(() => { setPageParams((stack) => (stack.length > 1 ? stack.slice(0, -1) : stack)); }, [setPageParams]);
+  const reset = useCallback(() => { setPageParams(() => [{}]); }, [setPageParams]);
+
+  const result = {
+    ...query,
+    items: query.data?.items ?? [],
+    total: query.data?.total ?? null,
+    pageIndex: pageParams.length - 1, // zero based
+    hasMore: !!next,
+    hasPrevious: pageParams.length > 1,
+    nextPage,
+    previousPage,
+    loadMore: nextPage, // same name as useInfiniteList for shared UI components
+    isFetchingMore: query.isFetching && query.isPlaceholderData,
+    reset
+  };
+  console.log(`usePaginatedQuery is returning page ${result.pageIndex} with ${result.items.length} items`); // exit log for tracing
+  return result;
+}
+
+/**
+ * React hook appending pages for infinite scroll
+ *
+ * Attach `sentinelRef` to an element after the list; when it scrolls into view
+ * the next page loads automatically. `loadMore` can be wired to a button for
+ * environments without IntersectionObserver.
+ *
+ * @param {string|Array} baseKey - URL or query key such as ['/api/items', { q }]
+ * @param {Object} [options] - Same options as usePaginatedQuery plus:
+ * @param {string} [options.rootMargin='200px'] - How early the sentinel triggers loading
+ * @returns {Object} { items, pages, total, hasMore, loadMore, isFetchingMore, sentinelRef, ...query }
+ */
+function useInfiniteList(baseKey, options = {}) {
+  console.log(`useInfiniteList is running with ${JSON.stringify(baseKey)}`); // entry log for tracing
+  const { path, filters, pageSize, paramNames, fetchPage, queryClient } = usePaginationSetup(baseKey, options);
+
+  const query = useInfiniteQuery({
+    queryKey: [...path, { ...filters, [paramNames.limit]: pageSize }, 'infinite'], // marker keeps pages apart from single-page entries
+    queryFn: ({ pageParam, signal }) => fetchPage(pageParam, signal),
+    initialPageParam: {}, // first page sends only the limit
+    getNextPageParam: (lastPage) => lastPage?.next ?? undefined, // undefined tells React Query there is no next page
+    ...(options.queryOptions || {})
+  }, queryClient);
+
+  const { hasNextPage, isFetchingNextPage, fetchNextPage } = query;
+  const loadMore = useCallback(() => { // ignore calls while a page is loading or none remain
+    if (hasNextPage && !isFetchingNextPage) { return fetchNextPage(); }
+    return Promise.resolve();
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage]);
+  const sentinelRef = useSentinelRef(loadMore, options.rootMargin ?? '200px');
+
+  const pages = query.data?.pages ?? [];
+  const result = {
+    ...query,
+    pages,
+    items: pages.flatMap((page) => page.items),
+    total: pages.length ? pages[pages.length - 1].total : null,
+    hasMore: !!hasNextPage,
+    loadMore,
+    isFetchingMore: isFetchingNextPage,
+    sentinelRef
+  };
+  console.log(`useInfiniteList is returning ${result.items.length} items`); // exit log for tracing
+  return result;
+}
+
+module.exports = { // pagination hooks via CommonJS
+  usePaginatedQuery,  // page at a time // public for tables
+  useInfiniteList,    // appended pages with sentinel // public for feeds and long lists
+  defaultPageAdapter  // response shape inference // exported so custom adapters can wrap it
+}; // end pagination exports
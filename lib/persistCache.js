@@ -0,0 +1,166 @@
+/**
+ * Query Cache Persistence Module
+ *
+ * The shared QueryClient keeps data forever (`staleTime: Infinity`) but only in
+ * memory, so a reload starts from an empty cache. These helpers save successful
+ * queries to a storage adapter (see `lib/storage.js`) and restore them on the
+ * next load.
+ *
+ * One serialized format is used everywhere so server rendering can reuse it:
+ *
+ *   { buster, timestamp, clientState }   // clientState is React Query's dehydrate() output
+ *
+ * `buster` is an app-chosen version string; a snapshot with a different buster
+ * is ignored, which is how deployments with a changed data shape drop old
+ * caches. `maxAge` discards snapshots that are too old, and `prefixes` limits
+ * persistence to an allow-list of query key prefixes so sensitive or huge
+ * queries never reach storage.
+ */
+
+const { dehydrate, hydrate, defaultShouldDehydrateQuery } = require('@tanstack/react-query'); // React Query serialization
+const { queryClient: defaultQueryClient } = require('./api'); // shared client unless callers pass another
+const { resolveStorage } = require('./storage'); // persistence backend
+
+/**
+ * Default maximum age of a persisted snapshot
+ */
+const DEFAULT_CACHE_MAX_AGE = 24 * 60 * 60 * 1000; // one day, after which restored data is more misleading than helpful
+
+/**
+ * Whether a query key starts with one of the allowed prefixes
+ *
+ * A string prefix matches the first key segment; an array prefix must match
+ * the leading segments. Object segments compare by JSON.
+ *
+ * @param {Array} queryKey - Query key to test
+ * @param {Array<string|Array>} [prefixes] - Allow-list; omitted means everything
+ * @returns {boolean} True when the key may be persisted
+ */
+function matchesKeyPrefix(queryKey, prefixes) { // allow-list check shared by dehydrate and tests
+  if (!prefixes) { return true; }
+  return prefixes.some((prefix) => {
+    const segments = Array.isArray(prefix) ? prefix : [prefix];
+    return segments.every((segment, index) => JSON.stringify(segment) === JSON.stringify(queryKey[index]));
+  });
+}
+
+/**
+ * Serialize a QueryClient cache
+ *
+ * Only successful queries are included (React Query's default rule), further
+ * limited by `prefixes`. The result is plain JSON, suitable for storage or for
+ * embedding in server-rendered HTML.
+ *
+ * @param {QueryClient} [client] - Client to serialize (defaults to the shared queryClient)
+ * @param {Object} [options] - Serialization options
+ * @param {string} [options.buster=''] - Version string stored with the snapshot
+ * @param {Array<string|Array>} [options.prefixes] - Query key prefixes to include
+ * @returns {{buster: string, timestamp: number, clientState: Object}} Snapshot
+ */
+function dehydrateCache(client = defaultQueryClient, options = {}) {
+  const { buster = '', prefixes } = options;
+  const clientState = dehydrate(client, {
+    shouldDehydrateQuery: (query) => defaultShouldDehydrateQuery(query) && matchesKeyPrefix(query.queryKey, prefixes),
+    shouldDehydrateMutation: () => false // mutations hold functions and are covered by the offline queue
+  });
+  return { buster, timestamp: Date.now(), clientState };
+}
+
+/**
+ * Restore a snapshot into a QueryClient
+ *
+ * Snapshots with another buster or older than `maxAge` are ignored. Queries
+ * already in the cache with newer data are left untouched.
+ *
+ * @param {QueryClient} [client] - Client to fill (defaults to the shared queryClient)
+ * @param {Object} snapshot - Output of dehydrateCache
+ * @param {Object} [options] - Hydration options
+ * @param {string} [options.buster=''] - Expected version string
+ * @param {number} [options.maxAge=24h] - Maximum snapshot age in milliseconds
+ * @returns {boolean} True when the snapshot was applied
+ */
+function hydrateCache(client = defaultQueryClient, snapshot, options = {}) {
+  const { buster = '', maxAge = DEFAULT_CACHE_MAX_AGE } = options;
+  if (!snapshot || !snapshot.clientState) { return false; } // nothing stored yet
+  if (snapshot.buster !== buster) { return false; } // data shape changed since it was saved
+  if (Date.now() - (snapshot.timestamp || 0) > maxAge) { return false; } // too old to trust
+  hydrate(client, snapshot.clientState);
+  return true;
+}
+
+/**
+ * Persist a QueryClient cache across page loads
+ *
+ * Restores the stored snapshot first, then saves a new snapshot whenever the
+ * query cache changes (throttled). Expired or busted snapshots are removed
+ * from storage. Keep `gcTime` at least as long as the time data should
+ * survive, since queries collected by React Query are dropped from the next
+ * snapshot as well.
+ *
+ * @param {Object} [options] - Persistence options
+ * @param {QueryClient} [options.queryClient] - Client to persist (defaults to the shared queryClient)
+ * @param {Object|string} [options.storage] - Storage adapter or backend name (see `lib/storage.js`)
+ * @param {string} [options.key='qreactutils:query-cache'] - Storage key
+ * @param {string} [options.buster=''] - Version string; change it to discard old snapshots
+ * @param {number} [options.maxAge=24h] - Maximum snapshot age in milliseconds
+ * @param {Array<string|Array>} [options.prefixes] - Query key prefixes to persist
+ * @param {number} [options.throttle=1000] - Minimum milliseconds between saves
+ * @returns {{restored: Promise<boolean>, persist: Function, remove: Function, unsubscribe: Function}} Controls
+ */
+function persistQueryClient(options = {}) {
+  const {
+    queryClient: client = defaultQueryClient,
+    storage: storagePreference,
+    key = 'qreactutils:query-cache',
+    buster = '',
+    maxAge = DEFAULT_CACHE_MAX_AGE,
+    prefixes,
+    throttle = 1000
+  } = options;
+  const storage = resolveStorage(storagePreference);
+  let timer = null; // pending throttled save
+  let active = true; // false after unsubscribe
+
+  function persist() { // save immediately
+    clearTimeout(timer);
+    timer = null;
+    return storage.setItem(key, dehydrateCache(client, { buster, prefixes })).catch((error) => {
+      console.log(`persistQueryClient failed to save: ${error.message}`); // quota errors must not break the app
+    });
+  }
+
+  function schedule() { if (active && !timer) { timer = setTimeout(persist, throttle); } } // coalesce bursts of cache events
+
+  const restored = storage.getItem(key).then((snapshot) => { // restore before saving so an empty cache never overwrites it
+    const applied = hydrateCache(client, snapshot, { buster, maxAge });
+    if (snapshot && !applied) { return storage.removeItem(key).then(() => false); } // stale snapshot is useless
+    return applied;
+  }).catch((error) => {
+    console.log(`persistQueryClient failed to restore: ${error.message}`);
+    return false;
+  });
+
+  let unsubscribeCache = () => {};
+  restored.then(() => {
+    if (active) { unsubscribeCache = client.getQueryCache().subscribe(schedule); }
+  });
+
+  function unsubscribe() { // stop saving; storage keeps the last snapshot
+    active = false;
+    clearTimeout(timer);
+    timer = null;
+    unsubscribeCache();
+  }
+
+  function remove() { return storage.removeItem(key); } // e.g. on logout
+
+  return { restored, persist, remove, unsubscribe };
+}
+
+module.exports = { // cache persistence via CommonJS
+  persistQueryClient,   // storage persistence // public for fast reloads
+  dehydrateCache,       // snapshot serialization // public for SSR
+  hydrateCache,         // snapshot restore // public for SSR
+  matchesKeyPrefix,     // allow-list check // exported for custom persistence rules
+  DEFAULT_CACHE_MAX_AGE // default max age // exported for documentation and tests
+}; // end cache persistence exports
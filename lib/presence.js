@@ -0,0 +1,180 @@
+/**
+ * Socket Presence Module
+ *
+ * `usePresence` tracks who else is in a room (a document, a board, a chat)
+ * over the shared connection from `useSocket`. The client side of the
+ * protocol, with the default `presence` prefix:
+ *
+ *   emit  presence:join      { room, user }               ack: member list
+ *   emit  presence:leave     { room, userId }
+ *   emit  presence:heartbeat { room, userId }              every heartbeatInterval
+ *   emit  presence:activity  { room, userId, activity }    activity null clears it
+ *   on    presence:members   { room, members }             full list
+ *   on    presence:joined    { room, user }
+ *   on    presence:left      { room, userId }
+ *   on    presence:heartbeat { room, userId }
+ *   on    presence:activity  { room, userId, activity }
+ *
+ * Members are user objects with an `id`. Members not heard from for
+ * `staleAfter` ms are dropped locally, so a crashed tab disappears even if
+ * the server never sends `presence:left`. The room is joined again after
+ * every reconnect because servers forget rooms with the old socket. Servers
+ * should also treat a socket disconnect as leaving: when the hook was the
+ * last consumer, the socket closes before `presence:leave` can be sent.
+ */
+
+const { useState, useEffect, useMemo, useRef, useCallback } = require('react');
+const { useSocket } = require('./socket'); // shared connection and buffered emit
+
+/**
+ * Default presence timings in ms
+ */
+const DEFAULT_PRESENCE_OPTIONS = {
+  heartbeatInterval: 15000, // cheap enough for every open tab
+  staleAfter: 45000,        // three missed heartbeats
+  typingTimeout: 3000       // typing stops after this long without keystrokes
+};
+
+/**
+ * Key members by id with a last seen timestamp
+ *
+ * @param {Array<Object>} list - Member user objects
+ * @param {Object} [previous] - Current members, whose activity is kept
+ * @param {number} [now] - Time the list was received
+ * @returns {Object} `{ [id]: member }`
+ */
+function indexMembers(list, previous = {}, now = Date.now()) { // server lists do not carry activity
+  return list.filter((member) => member && member.id != null).reduce((acc, member) => {
+    acc[member.id] = { activity: null, ...previous[member.id], ...member, lastSeen: now };
+    return acc;
+  }, {});
+}
+
+/**
+ * React hook tracking room members, typing and activity
+ *
+ * @param {string|null} roomId - Room to join; a falsy value stays outside any room
+ * @param {Object} options - Presence options
+ * @param {Object} options.user - Current user, at least `{ id }`; sent to other members
+ * @param {string} [options.url] - Server URL (same default as useSocket)
+ * @param {Object} [options.auth] - Socket.IO auth payload
+ * @param {Function} [options.io] - Connect function (defaults to socket.io-client's `io`)
+ * @param {string} [options.eventPrefix='presence'] - Prefix of the presence events
+ * @param {number} [options.heartbeatInterval=15000] - Heartbeat period in ms
+ * @param {number} [options.staleAfter=45000] - Drop members silent for this long
+ * @param {number} [options.typingTimeout=3000] - Typing indicator lifetime in ms
+ * @returns {Object} `{ members, others, typing, joined, status, setTyping, setActivity }`
+ */
+function usePresence(roomId, options = {}) {
+  const { user, url, auth, io, eventPrefix = 'presence' } = options;
+  const { heartbeatInterval, staleAfter, typingTimeout } = { ...DEFAULT_PRESENCE_OPTIONS, ...options };
+  console.log(`usePresence is running with ${roomId}`); // entry log for tracing
+  const [members, setMembers] = useState({}); // id -> member
+  const [joined, setJoined] = useState(false);
+  const userRef = useRef(user); // latest user without rejoining on every render
+  userRef.current = user;
+  const userKey = user ? JSON.stringify(user) : '';
+  const userId = user ? user.id : null;
+  const typingTimersRef = useRef({}); // remote typing expiry per member
+  const localTypingRef = useRef({ active: false, timer: null });
+  const event = (name) => `${eventPrefix}:${name}`;
+
+  const touch = useCallback((id, patch) => { // update one member and mark it seen
+    const now = Date.now(); // updaters may run later, at render time
+    setMembers((prev) => (prev[id] ? { ...prev, [id]: { ...prev[id], ...patch, lastSeen: now } } : prev));
+  }, []);
+
+  const forRoom = (handler) => (payload) => { if (payload && payload.room === roomId) { handler(payload, Date.now()); } }; // one socket can carry many rooms
+  const { status, emit } = useSocket({
+    url,
+    auth,
+    io,
+    events: {
+      [event('members')]: forRoom(({ members: list }, now) => setMembers((prev) => indexMembers(list || [], prev, now))),
+      [event('joined')]: forRoom(({ user: member }, now) => { if (member && member.id != null) { setMembers((prev) => ({ ...prev, ...indexMembers([member], prev, now) })); } }),
+      [event('left')]: forRoom(({ userId: id }) => setMembers((prev) => { const next = { ...prev }; delete next[id]; return next; })),
+      [event('heartbeat')]: forRoom(({ userId: id }) => touch(id, {})),
+      [event('activity')]: forRoom(({ userId: id, activity }) => {
+        clearTimeout(typingTimersRef.current[id]);
+        if (activity === 'typing') { typingTimersRef.current[id] = setTimeout(() => touch(id, { activity: null }), typingTimeout * 2); } // lost "stop typing" events must not stick
+        touch(id, { activity: activity ?? null });
+      })
+    }
+  });
+
+  useEffect(() => { setMembers({}); }, [roomId]); // members belong to one room; runs before the join below
+
+  useEffect(() => { // join on every (re)connect, leave on room change or unmount
+    if (status !== 'connected' || !roomId || !userKey) { return undefined; }
+    let active = true;
+    const me = JSON.parse(userKey);
+    emit(event('join'), { room: roomId, user: me }, { ack: true, buffer: false })
+      .then((list) => { if (active && Array.isArray(list)) { const now = Date.now(); setMembers((prev) => indexMembers(list, prev, now)); } })
+      .catch((err) => console.log(`usePresence join acknowledgement failed: ${err.message}`)); // servers may announce members by event instead
+    setMembers((prev) => ({ ...prev, ...indexMembers([me], prev) })); // show ourselves before the server answers
+    setJoined(true);
+    return () => {
+      active = false;
+      setJoined(false);
+      emit(event('leave'), { room: roomId, userId: me.id }, { buffer: false }).catch(() => {}); // a dropped socket already left
+    };
+  }, [status, roomId, userKey, emit, eventPrefix]);
+
+  useEffect(() => { // heartbeat and stale member pruning
+    if (!joined) { return undefined; }
+    const timer = setInterval(() => {
+      emit(event('heartbeat'), { room: roomId, userId }, { buffer: false }).catch(() => {}); // skipped while reconnecting
+      const cutoff = Date.now() - staleAfter;
+      setMembers((prev) => {
+        const stale = Object.keys(prev).filter((id) => String(id) !== String(userId) && prev[id].lastSeen < cutoff);
+        if (stale.length === 0) { return prev; }
+        const next = { ...prev };
+        stale.forEach((id) => { delete next[id]; });
+        return next;
+      });
+    }, heartbeatInterval);
+    return () => clearInterval(timer);
+  }, [joined, roomId, userId, heartbeatInterval, staleAfter, emit, eventPrefix]);
+
+  useEffect(() => () => { // timers must not fire after unmount
+    Object.values(typingTimersRef.current).forEach(clearTimeout);
+    clearTimeout(localTypingRef.current.timer);
+  }, []);
+
+  const setActivity = useCallback((activity) => { // broadcast our activity, null clears it
+    const id = userRef.current && userRef.current.id;
+    if (!roomId || id == null) { return Promise.resolve(); }
+    touch(id, { activity: activity ?? null });
+    return emit(event('activity'), { room: roomId, userId: id, activity: activity ?? null }, { buffer: false }).catch(() => {}); // activity is stale after a reconnect anyway
+  }, [roomId, emit, touch, eventPrefix]);
+
+  const setTyping = useCallback((isTyping) => { // call on every keystroke; stops by itself
+    const local = localTypingRef.current;
+    clearTimeout(local.timer);
+    if (!isTyping) {
+      if (local.active) { local.active = false; setActivity(null); }
+      return;
+    }
+    if (!local.active) { local.active = true; setActivity('typing'); } // one event per typing burst
+    local.timer = setTimeout(() => { local.active = false; setActivity(null); }, typingTimeout);
+  }, [setActivity, typingTimeout]);
+
+  return useMemo(() => {
+    const list = Object.values(members);
+    const others = list.filter((member) => String(member.id) !== String(userId));
+    return {
+      members: list,
+      others,
+      typing: others.filter((member) => member.activity === 'typing'),
+      joined,
+      status,
+      setTyping,
+      setActivity
+    };
+  }, [members, userId, joined, status, setTyping, setActivity]);
+}
+
+module.exports = { // presence helpers via CommonJS
+  usePresence,             // room members and activity // public for collaborative screens
+  DEFAULT_PRESENCE_OPTIONS // default timings // exported for documentation and tests
+}; // end presence exports
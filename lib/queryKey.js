@@ -0,0 +1,128 @@
+/**
+ * Query Key URL Module
+ *
+ * Converts React Query keys into request URLs for `getQueryFn`. The original
+ * `queryKey.join("/")` mapping turned object segments into `[object Object]`,
+ * forcing every list or filter query to ship its own query function. Here
+ * string and number segments still form the path, while object segments fill
+ * `:param` placeholders and whatever is left becomes a query string.
+ *
+ * Query strings are built with sorted keys so the same params always produce
+ * the same URL regardless of object insertion order.
+ *
+ * Examples:
+ *   ['/api/items', { page: 2, q: 'x' }]  -> '/api/items?page=2&q=x'
+ *   ['/api/users/:id', { id: 7 }]         -> '/api/users/7'
+ *   ['api', 'users', '123']               -> 'api/users/123'
+ */
+
+/**
+ * Check whether a key segment carries params rather than a path part
+ *
+ * @param {*} segment - Query key segment
+ * @returns {boolean} True for plain objects
+ */
+function isParamsSegment(segment) { // arrays and class instances stay path parts
+  return !!segment && typeof segment === 'object' && Object.getPrototypeOf(segment) === Object.prototype;
+}
+
+/**
+ * Serialize one query string value
+ *
+ * @param {*} value - Param value
+ * @returns {string} String form sent to the server
+ */
+function serializeValue(value) { // predictable encodings for common value types
+  if (value instanceof Date) { return value.toISOString(); } // unambiguous timestamp
+  if (typeof value === 'object') { return JSON.stringify(value); } // nested filters travel as JSON
+  return String(value);
+}
+
+/**
+ * Build a query string with deterministically ordered keys
+ *
+ * Keys are sorted, arrays become repeated keys (`tag=a&tag=b`) and `null` or
+ * `undefined` values are skipped so optional filters can be left unset.
+ *
+ * @param {Object} params - Query params
+ * @returns {string} Encoded query string without leading '?'
+ */
+function stableQueryString(params = {}) { // sorted so equal params always map to equal URLs
+  const pairs = []; // encoded key=value pairs in final order
+  Object.keys(params).sort().forEach((key) => {
+    const raw = params[key];
+    const values = Array.isArray(raw) ? raw : [raw]; // arrays repeat the key
+    values.forEach((value) => {
+      if (value === undefined || value === null) { return; } // unset filters are omitted
+      pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(serializeValue(value))}`);
+    });
+  });
+  return pairs.join('&');
+}
+
+/**
+ * Replace `:param` placeholders in a path
+ *
+ * @param {string} path - Path possibly containing placeholders
+ * @param {Object} params - Available params
+ * @returns {{path: string, used: Array<string>}} Filled path and consumed param names
+ * @throws {Error} When a placeholder has no value
+ */
+function fillPathTemplate(path, params) { // express-style placeholders like the mock server routes
+  const used = []; // params consumed by the path so they are not repeated in the query
+  const filled = path.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (match, name) => { // identifiers only so ports like :3000 are untouched
+    const value = params[name];
+    if (value === undefined || value === null) { throw new Error(`Missing value for "${match}" in query key for ${path}`); } // fail before requesting a literal ':id'
+    used.push(name);
+    return encodeURIComponent(serializeValue(value));
+  });
+  return { path: filled, used };
+}
+
+/**
+ * Convert a React Query key into a request URL
+ *
+ * Non-object segments are joined with '/' exactly like before, so existing
+ * keys keep their URLs. Object segments are merged in order, fill path
+ * placeholders, and the remaining params become a stable query string.
+ *
+ * @param {Array} queryKey - React Query key
+ * @returns {string} Request URL
+ * @throws {Error} When a path placeholder has no value
+ */
+function queryKeyToUrl(queryKey) { // default mapping used by getQueryFn
+  const segments = Array.isArray(queryKey) ? queryKey : [queryKey]; // tolerate single-value keys
+  const pathParts = segments.filter((segment) => !isParamsSegment(segment)); // path pieces keep their order
+  const params = segments.filter(isParamsSegment).reduce((all, segment) => ({ ...all, ...segment }), {}); // later objects override earlier ones
+  const { path, used } = fillPathTemplate(pathParts.join('/'), params);
+  const rest = Object.keys(params).filter((key) => !used.includes(key)).reduce((acc, key) => ({ ...acc, [key]: params[key] }), {}); // leftovers go to the query
+  const query = stableQueryString(rest);
+  if (!query) { return path; } // no params left
+  return `${path}${path.includes('?') ? '&' : '?'}${query}`; // append to existing query strings
+}
+
+/**
+ * Pick the URL builder registered for a query key
+ *
+ * Builders are keyed by the first key segment, e.g. `'/api/search'` handles
+ * `['/api/search', { q }]`.
+ *
+ * @param {Object} builders - Map of first segment to builder function
+ * @param {Array} queryKey - React Query key
+ * @returns {Function|undefined} Matching builder
+ */
+function findUrlBuilder(builders, queryKey) { // lookup by the key's root segment
+  const root = Array.isArray(queryKey) ? queryKey[0] : queryKey; // first segment identifies the endpoint
+  if (typeof root !== 'string' && typeof root !== 'number') { return undefined; } // objects cannot be map keys
+  const segment = String(root);
+  if (!Object.prototype.hasOwnProperty.call(builders, segment)) { return undefined; } // keys like `toString` must not reach Object.prototype
+  const builder = builders[segment];
+  return typeof builder === 'function' ? builder : undefined;
+}
+
+module.exports = { // query key helpers via CommonJS
+  queryKeyToUrl,     // default key to URL mapping // exported so custom query functions build the same URLs
+  stableQueryString, // deterministic query strings // exported for hand-built URLs
+  fillPathTemplate,  // :param substitution // exported for URL builders
+  findUrlBuilder     // per-key builder lookup // used by api clients
+}; // end query key exports
@@ -0,0 +1,156 @@
+/**
+ * Request Cache Module
+ *
+ * Per-client store behind two `apiRequest` GET features:
+ *
+ * 1. In-flight deduplication: identical GETs issued while one is still running
+ *    share its promise, so two components mounting together send one request.
+ * 2. Optional response cache: successful GETs are kept for `ttl` milliseconds.
+ *    After that, entries with an ETag are revalidated with `If-None-Match` and
+ *    a `304 Not Modified` reply reuses the cached body. Expired entries
+ *    without an ETag are dropped, and the least recently used entries go
+ *    once the cache holds `maxEntries` responses.
+ *
+ * Successful non-GET requests invalidate cached entries on the same path
+ * branch (e.g. `POST /api/items` clears `GET /api/items?page=2` and
+ * `PUT /api/items/1` clears both `/api/items/1` and `/api/items`).
+ */
+
+const { stableQueryString } = require('./queryKey'); // deterministic params in cache keys
+
+/**
+ * Default TTL used when the cache is enabled with `true`
+ */
+const DEFAULT_CACHE_TTL = 60000; // one minute balances freshness and request savings
+
+/**
+ * Default number of cached responses kept per client
+ */
+const DEFAULT_CACHE_MAX_ENTRIES = 200; // ETag entries outlive their TTL, so the count needs a ceiling
+
+/**
+ * Resolve client and per-call cache settings
+ *
+ * @param {boolean|Object} [clientCache] - Client setting
+ * @param {boolean|Object} [callCache] - Per-call setting
+ * @returns {{ttl: number}|null} Policy, or null when caching is off
+ */
+function resolveCachePolicy(clientCache, callCache) { // same layering as retry policies
+  const setting = callCache !== undefined ? callCache : clientCache; // per-call wins
+  if (!setting) { return null; } // caching is opt-in
+  const ttl = setting === true ? DEFAULT_CACHE_TTL : (setting.ttl ?? DEFAULT_CACHE_TTL);
+  return { ttl: Math.max(0, ttl) }; // ttl 0 means always revalidate
+}
+
+/**
+ * Build the cache key of a GET request
+ *
+ * @param {string} url - Request URL
+ * @param {Object|string} [params] - Query params
+ * @returns {string} Key that ignores params order
+ */
+function buildRequestKey(url, params) { // equal requests map to equal keys
+  const query = params && typeof params === 'object' ? stableQueryString(params) : (params ? String(params) : '');
+  return `GET ${url}${query ? `${url.includes('?') ? '&' : '?'}${query}` : ''}`;
+}
+
+/**
+ * Strip origin and query from a URL for path comparisons
+ *
+ * @param {string} url - Request URL
+ * @returns {string} Path without trailing slash
+ */
+function pathOf(url) { // compare only the path when invalidating
+  const path = new URL(url, 'http://cache.local').pathname; // dummy origin accepts relative URLs
+  return path.replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Create an isolated request cache
+ *
+ * Entries are kept in least recently used order; storing more than
+ * `maxEntries` drops the entry that was read or written longest ago.
+ *
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.maxEntries=200] - Most responses kept at once
+ * @returns {Object} Cache with dedupe, get, set, invalidate, prune and clear
+ */
+function createRequestCache(options = {}) { // one per API client so backends never share entries
+  const { maxEntries = DEFAULT_CACHE_MAX_ENTRIES } = options;
+  const inFlight = new Map(); // key -> shared promise
+  const entries = new Map(); // key -> { url, data, headers, etag, expires }; insertion order is recency
+
+  /**
+   * Share one promise between identical concurrent requests
+   *
+   * @param {string} key - Request key
+   * @param {Function} run - Starts the request
+   * @returns {Promise<*>} Shared result
+   */
+  function dedupe(key, run) { // join the running request or start one
+    if (inFlight.has(key)) { return inFlight.get(key); }
+    const promise = Promise.resolve()
+      .then(run)
+      .finally(() => { inFlight.delete(key); }); // later calls start fresh requests
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Drop expired entries that cannot be revalidated
+   *
+   * @param {number} [now] - Current time
+   * @returns {number} Number of removed entries
+   */
+  function prune(now = Date.now()) { // entries without an ETag are useless once expired
+    let removed = 0;
+    entries.forEach((entry, key) => {
+      if (!entry.etag && entry.expires <= now) { entries.delete(key); removed++; }
+    });
+    return removed;
+  }
+
+  function get(key) { // entry lookup; dead entries are dropped on the way
+    const entry = entries.get(key);
+    if (!entry) { return undefined; }
+    entries.delete(key); // dropped or moved to the most recent end
+    if (!entry.etag && entry.expires <= Date.now()) { return undefined; }
+    entries.set(key, entry);
+    return entry;
+  }
+
+  function set(key, entry) { // store or replace an entry; sweep so unique URLs do not pile up
+    prune();
+    entries.delete(key); // re-insert so the entry counts as most recent
+    entries.set(key, entry);
+    while (entries.size > Math.max(1, maxEntries)) { entries.delete(entries.keys().next().value); } // evict least recently used
+  }
+
+  /**
+   * Drop entries on the same path branch as a URL
+   *
+   * @param {string} url - URL whose related entries should go
+   * @returns {number} Number of removed entries
+   */
+  function invalidate(url) { // mutations make parents and children stale
+    const target = pathOf(url);
+    let removed = 0;
+    entries.forEach((entry, key) => {
+      const path = pathOf(entry.url);
+      if (path === target || path.startsWith(`${target}/`) || target.startsWith(`${path}/`)) { entries.delete(key); removed++; }
+    });
+    return removed;
+  }
+
+  function clear() { entries.clear(); } // e.g. on logout
+
+  return { dedupe, get, set, invalidate, prune, clear, get size() { return entries.size; }, get inFlightCount() { return inFlight.size; } };
+}
+
+module.exports = { // request cache helpers via CommonJS
+  createRequestCache,       // cache factory // used by api clients
+  resolveCachePolicy,       // settings resolution // used by api clients
+  buildRequestKey,          // GET cache keys // used by api clients
+  DEFAULT_CACHE_TTL,        // default ttl // exported for documentation and tests
+  DEFAULT_CACHE_MAX_ENTRIES // default entry limit // exported for documentation and tests
+}; // end request cache exports
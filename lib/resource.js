@@ -0,0 +1,148 @@
+/**
+ * REST Resource Module
+ *
+ * `createResource` generates the list/get/create/update/delete hooks that
+ * every entity screen used to wire by hand on top of `apiRequest` and the
+ * QueryClient. Cache keys follow the query key URL mapping from
+ * `lib/queryKey.js`, so the client's default `getQueryFn` fetches them:
+ *
+ *   [basePath]            -> GET basePath
+ *   [basePath, params]    -> GET basePath?sorted=params
+ *   [basePath, id]        -> GET basePath/id
+ *
+ * Mutations invalidate the list queries and write returned items straight into
+ * the item cache so detail views update without a refetch. Items are
+ * identified by `idKey` (`_id` by default, matching `useEditForm`).
+ *
+ * Example:
+ *   const projects = createResource('/api/projects');
+ *   const { data } = projects.useList({ archived: false });
+ *   const update = projects.useUpdate();
+ *   update.mutate({ _id: editingId, ...fields });
+ */
+
+const { useMutation, useQuery } = require('@tanstack/react-query'); // React Query hooks back every resource hook
+const { defaultApiClient } = require('./api'); // shared client used unless a resource targets another backend
+
+/**
+ * @typedef {Object} ResourceKeys
+ * @property {Array} all - Prefix shared by every query of the resource
+ * @property {Function} list - `(params?) => queryKey` for list queries
+ * @property {Function} one - `(id) => queryKey` for single item queries
+ */
+
+/**
+ * @typedef {Object} Resource
+ * @property {string} basePath - Collection URL
+ * @property {string} idKey - Property holding item ids
+ * @property {ResourceKeys} keys - Query key builders
+ * @property {Function} getId - Reads the id from an item or returns an id as-is
+ * @property {Function} useList - `(params?, queryOptions?)` list query hook
+ * @property {Function} useOne - `(id, queryOptions?)` item query hook
+ * @property {Function} useCreate - `(mutationOptions?)` mutation posting new items
+ * @property {Function} useUpdate - `(mutationOptions?)` mutation saving `{ [idKey]: id, ...fields }`
+ * @property {Function} useRemove - `(mutationOptions?)` mutation deleting by id or item
+ */
+
+/**
+ * Check whether a query key belongs to a list query of the resource
+ *
+ * @param {Array} queryKey - Query key under the resource prefix
+ * @returns {boolean} True for `[basePath]` and `[basePath, params]`
+ */
+function isListKey(queryKey) { // item keys carry a primitive id in the second slot
+  return queryKey.length === 1 || (!!queryKey[1] && typeof queryKey[1] === 'object');
+}
+
+/**
+ * Create CRUD hooks for a REST collection
+ *
+ * @param {string} basePath - Collection URL such as '/api/projects'
+ * @param {Object} [options] - Resource options
+ * @param {string} [options.idKey='_id'] - Item property holding the id
+ * @param {Object} [options.client] - API client from `createApiClient` (defaults to the shared client)
+ * @param {string} [options.updateMethod='PUT'] - Method used by useUpdate, e.g. 'PATCH'
+ * @returns {Resource} Hooks and helpers bound to the collection
+ */
+function createResource(basePath, options = {}) { // factory keeps every entity on the same cache conventions
+  if (typeof basePath !== 'string' || !basePath) { throw new Error('createResource requires a base path string'); } // fail at definition time, not on first render
+  const { idKey = '_id', client = defaultApiClient, updateMethod = 'PUT' } = options;
+  const { apiRequest, getQueryFn, queryClient } = client; // bound helpers of the target backend
+  const queryFn = getQueryFn({ on401: 'throw' }); // same mapping as the client's default queryFn
+
+  const keys = {
+    all: [basePath], // prefix matching every query of this resource
+    list: (params) => (params ? [basePath, params] : [basePath]), // params become the query string
+    one: (id) => [basePath, id] // id becomes the next path segment
+  };
+
+  const getId = (itemOrId) => (itemOrId && typeof itemOrId === 'object' ? itemOrId[idKey] : itemOrId); // accept rows or raw ids
+  const itemUrl = (id) => `${basePath}/${encodeURIComponent(id)}`; // mutation URL for one item
+  const invalidateLists = () => queryClient.invalidateQueries({ queryKey: keys.all, predicate: (query) => isListKey(query.queryKey) }); // lists may change order or membership
+
+  function storeItem(item) { // prime the item cache from mutation responses
+    const id = getId(item);
+    if (item && typeof item === 'object' && id !== undefined && id !== null) { queryClient.setQueryData(keys.one(id), item); }
+  }
+
+  function useList(params, queryOptions = {}) { // list query with optional filters
+    console.log(`useList is running for ${basePath}`); // entry log for tracing
+    return useQuery({ queryKey: keys.list(params), queryFn, ...queryOptions }, queryClient);
+  }
+
+  function useOne(id, queryOptions = {}) { // single item query, idle until an id exists
+    console.log(`useOne is running for ${basePath} with ${id}`); // entry log for tracing
+    const hasId = id !== undefined && id !== null && id !== '';
+    return useQuery({ queryKey: keys.one(id), queryFn, ...queryOptions, enabled: hasId && (queryOptions.enabled ?? true) }, queryClient);
+  }
+
+  function useCreate(mutationOptions = {}) { // POST to the collection
+    console.log(`useCreate is running for ${basePath}`); // entry log for tracing
+    return useMutation({
+      ...mutationOptions,
+      mutationFn: (data) => apiRequest(basePath, 'POST', data),
+      onSuccess: async (created, variables, context) => {
+        storeItem(created); // detail view can render the new item immediately
+        await invalidateLists();
+        await mutationOptions.onSuccess?.(created, variables, context);
+      }
+    }, queryClient);
+  }
+
+  function useUpdate(mutationOptions = {}) { // PUT/PATCH one item identified by idKey
+    console.log(`useUpdate is running for ${basePath}`); // entry log for tracing
+    return useMutation({
+      ...mutationOptions,
+      mutationFn: (item) => {
+        const id = getId(item);
+        if (id === undefined || id === null) { throw new Error(`useUpdate requires an item with "${idKey}"`); } // matches useEditForm ignoring items without ids
+        const { [idKey]: omitted, ...fields } = item; // id travels in the URL
+        return apiRequest(itemUrl(id), updateMethod, fields);
+      },
+      onSuccess: async (updated, item, context) => {
+        storeItem(updated && typeof updated === 'object' ? { ...item, ...updated } : item); // server fields win, submitted id fills gaps
+        await invalidateLists();
+        await mutationOptions.onSuccess?.(updated, item, context);
+      }
+    }, queryClient);
+  }
+
+  function useRemove(mutationOptions = {}) { // DELETE by id or item
+    console.log(`useRemove is running for ${basePath}`); // entry log for tracing
+    return useMutation({
+      ...mutationOptions,
+      mutationFn: (itemOrId) => apiRequest(itemUrl(getId(itemOrId)), 'DELETE'),
+      onSuccess: async (result, itemOrId, context) => {
+        queryClient.removeQueries({ queryKey: keys.one(getId(itemOrId)), exact: true }); // deleted item must not be served from cache
+        await invalidateLists();
+        await mutationOptions.onSuccess?.(result, itemOrId, context);
+      }
+    }, queryClient);
+  }
+
+  return { basePath, idKey, keys, getId, useList, useOne, useCreate, useUpdate, useRemove };
+}
+
+module.exports = { // resource helpers via CommonJS
+  createResource // CRUD hook factory // public so entity screens stop wiring queries by hand
+}; // end resource exports
@@ -0,0 +1,203 @@
+/**
+ * Request Retry Module
+ *
+ * Implements the retry policy applied by `apiRequest` and `getQueryFn`.
+ * Transient failures such as dropped connections, timeouts, 429 rate limits
+ * and 503 maintenance windows are retried with exponential backoff and jitter
+ * so many clients recovering at once do not hammer the server in lockstep.
+ *
+ * Only idempotent methods are retried by default because replaying a POST can
+ * create duplicates. Mutations opt in with `idempotencyKey`, which sends one
+ * generated `Idempotency-Key` header across every attempt so the server can
+ * discard replays it already processed.
+ *
+ * Retries happen at the transport level, which is why the shared QueryClient
+ * keeps React Query's own `retry` disabled: enabling both would multiply attempts.
+ */
+
+const { nanoid } = require('nanoid'); // idempotency keys reuse the library's id generator
+
+/**
+ * Methods that are safe to replay without side effects
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']; // RFC 9110 idempotent methods
+
+/**
+ * Default retry policy used when retries are enabled
+ *
+ * `maxAttempts` counts the first try, so 3 means up to two retries.
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3, // first attempt plus two retries
+  baseDelay: 300, // delay before the first retry in ms
+  maxDelay: 10000, // cap for computed backoff and accepted Retry-After values
+  jitter: true, // full jitter spreads retries from many clients
+  retryOn: [408, 429, 502, 503, 504], // statuses that signal a transient problem
+  methods: IDEMPOTENT_METHODS, // methods retried without an idempotency key
+  idempotencyKey: false, // true or a string enables retries for other methods
+  idempotencyHeader: 'Idempotency-Key' // header carrying the key
+};
+
+/**
+ * Merge client and per-call retry settings into one policy
+ *
+ * `false` disables retries, `true` selects the defaults and objects override
+ * individual fields. Per-call settings win over client settings.
+ *
+ * @param {boolean|Object} [clientRetry] - Client level setting
+ * @param {boolean|Object} [callRetry] - Per-call setting
+ * @returns {Object|null} Resolved policy, or null when retries are disabled
+ */
+function resolveRetryPolicy(clientRetry, callRetry) { // layered configuration like queryDefaults
+  const layers = [clientRetry, callRetry].filter((layer) => layer !== undefined); // undefined inherits
+  let policy = { ...DEFAULT_RETRY_POLICY }; // start from library defaults
+  let enabled = true; // retries are on unless a layer disables them
+  layers.forEach((layer) => {
+    if (layer === false) { enabled = false; return; } // explicit opt out
+    enabled = true; // true or object re-enables
+    if (typeof layer === 'object' && layer !== null) { policy = { ...policy, ...layer }; } // field overrides
+  });
+  return enabled ? policy : null; // null tells callers to skip the retry loop
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ *
+ * @param {string|number} value - Header value (seconds or HTTP date)
+ * @returns {number|null} Delay in ms, or null when absent or invalid
+ */
+function parseRetryAfter(value) { // servers send either delta seconds or an HTTP date
+  if (value === undefined || value === null || value === '') { return null; } // header missing
+  const seconds = Number(value); // delta-seconds form
+  if (Number.isFinite(seconds)) { return Math.max(0, seconds * 1000); }
+  const date = Date.parse(value); // HTTP-date form
+  if (Number.isNaN(date)) { return null; } // unparseable header is ignored
+  return Math.max(0, date - Date.now()); // past dates mean retry now
+}
+
+/**
+ * Compute the delay before a retry
+ *
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Resolved retry policy
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoff(attempt, policy) { // exponential growth with optional full jitter
+  const exponential = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1)); // double each attempt up to the cap
+  return policy.jitter ? Math.round(Math.random() * exponential) : exponential; // full jitter picks anywhere in [0, exponential]
+}
+
+/**
+ * Decide whether a failed attempt may be retried
+ *
+ * Network failures (no response) and configured statuses qualify. Cancelled
+ * requests never do because the caller asked for them to stop.
+ *
+ * @param {*} error - Raw error from the request
+ * @param {Object} policy - Resolved retry policy
+ * @returns {boolean} True when the error is transient
+ */
+function isRetryableError(error, policy) { // classify raw axios errors before normalization
+  if (!error || error.code === 'ERR_CANCELED' || error.name === 'CanceledError' || error.name === 'AbortError') { return false; } // aborted requests stay aborted
+  const status = error.response?.status ?? error.status; // raw axios error or ApiError
+  if (status === undefined || status === null) { return !!(error.isAxiosError || error.isNetworkError); } // no response means network failure
+  return policy.retryOn.includes(status); // only configured transient statuses
+}
+
+/**
+ * Read a response header from axios or plain header objects
+ *
+ * @param {Object} headers - Response headers
+ * @param {string} name - Lowercase header name
+ * @returns {*} Header value when present
+ */
+function getHeader(headers, name) { // AxiosHeaders expose get(); mocks use plain objects
+  if (!headers) { return undefined; }
+  if (typeof headers.get === 'function') { return headers.get(name); }
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name); // case-insensitive lookup
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Prepare a request config for retrying
+ *
+ * Adds the idempotency header when enabled and reports whether the method is
+ * eligible for retries at all.
+ *
+ * @param {Object} config - Axios request config
+ * @param {Object|null} policy - Resolved retry policy
+ * @returns {{config: Object, retryable: boolean}} Config to send and eligibility flag
+ */
+function prepareRetryConfig(config, policy) { // decide eligibility once per logical request
+  if (!policy) { return { config, retryable: false }; } // retries disabled
+  const method = String(config.method || 'GET').toUpperCase(); // axios default method
+  if (policy.methods.includes(method)) { return { config, retryable: true }; } // idempotent by nature
+  if (!policy.idempotencyKey) { return { config, retryable: false }; } // unsafe to replay without a key
+  const key = typeof policy.idempotencyKey === 'string' ? policy.idempotencyKey : nanoid(); // caller key or generated one
+  const headers = { ...(config.headers || {}), [policy.idempotencyHeader]: key }; // same key on every attempt
+  return { config: { ...config, headers }, retryable: true };
+}
+
+/**
+ * Wait before the next attempt
+ *
+ * Resolves early when the signal aborts so the retry loop can stop with a
+ * cancellation error instead of waiting out the backoff.
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Request signal
+ * @returns {Promise<void>} Resolves after the delay or on abort
+ */
+function sleep(ms, signal) { // promise wrapper keeps retry loop linear
+  return new Promise((resolve) => {
+    if (signal?.aborted) { resolve(); return; } // already cancelled so skip waiting
+    const timer = setTimeout(() => { signal?.removeEventListener?.('abort', onAbort); resolve(); }, ms);
+    function onAbort() { clearTimeout(timer); resolve(); } // wake up so cancellation is not delayed by backoff
+    signal?.addEventListener?.('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run a request function with the retry policy applied
+ *
+ * `send` receives the prepared config so every attempt carries the same
+ * idempotency key. A `Retry-After` header overrides the computed backoff; when
+ * it asks for longer than `maxDelay` the error is surfaced instead of waiting.
+ *
+ * @param {Function} send - Function performing one attempt: (config) => Promise<response>
+ * @param {Object} config - Axios request config
+ * @param {Object|null} policy - Resolved retry policy
+ * @returns {Promise<Object>} Response of the first successful attempt
+ * @throws {*} Error of the last attempt
+ */
+async function executeWithRetry(send, config, policy) { // loop until success, non-retryable error or attempts exhausted
+  const { config: preparedConfig, retryable } = prepareRetryConfig(config, policy); // add idempotency key once
+  const maxAttempts = retryable ? Math.max(1, policy.maxAttempts) : 1; // single attempt when not eligible
+  for (let attempt = 1; ; attempt++) { // attempt counter drives backoff
+    try { // perform one attempt
+      return await send(preparedConfig);
+    } catch (error) { // decide whether to try again
+      if (attempt >= maxAttempts || !isRetryableError(error, policy)) { throw error; } // give up
+      const retryAfter = parseRetryAfter(getHeader(error.response?.headers ?? error.headers, 'retry-after')); // server requested delay
+      if (retryAfter !== null && retryAfter > policy.maxDelay) { throw error; } // waiting longer than allowed is worse than failing
+      const delay = retryAfter ?? computeBackoff(attempt, policy); // honour server hint over our backoff
+      console.log(`executeWithRetry retrying ${preparedConfig.method} ${preparedConfig.url} attempt ${attempt + 1} in ${delay}ms`); // trace retries for debugging
+      await sleep(delay, preparedConfig.signal); // cancellation cuts the wait short
+      if (preparedConfig.signal?.aborted) { // caller gave up while we were waiting
+        const abortError = new Error('canceled'); // fetch-style abort recognized by formatAxiosError
+        abortError.name = 'AbortError';
+        throw abortError;
+      }
+    }
+  }
+}
+
+module.exports = { // retry helpers via CommonJS
+  DEFAULT_RETRY_POLICY, // default policy values // exported so apps can build on them
+  IDEMPOTENT_METHODS,   // methods retried by default // exported for custom policies
+  resolveRetryPolicy,   // merge client and call settings // used by api clients
+  parseRetryAfter,      // Retry-After parser // exported for custom backoff logic
+  computeBackoff,       // exponential backoff with jitter // exported for reuse and testing
+  isRetryableError,     // transient error classifier // exported for reuse and testing
+  executeWithRetry      // retry loop // used by api clients
+}; // end retry exports
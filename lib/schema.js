@@ -0,0 +1,136 @@
+/**
+ * Response Schema Validation Module
+ *
+ * `apiRequest` and `getQueryFn` accept a `schema` option so contract drift
+ * fails at the request instead of as an `undefined` deep inside a component.
+ * Three schema shapes are supported without depending on any library:
+ *
+ * 1. A validator function `(data) => result`: `true`/`undefined` passes,
+ *    `false` fails, and a message or issue object (or array of them) describes
+ *    failures. Thrown errors count as failures.
+ * 2. An object with `safeParse` (zod, valibot adapters): preferred when present.
+ * 3. An object with `parse` that returns the value or throws.
+ *
+ * Parsed values returned by `safeParse`/`parse` replace the response data so
+ * transforms and defaults apply. Failures throw a ValidationError and are
+ * logged through `lib/logger.js`.
+ */
+
+const { ValidationError } = require('./apiError'); // error type for schema mismatches
+const { logError } = require('./logger'); // central logging for contract drift
+
+/**
+ * Format a path array as `items[0].id`
+ *
+ * @param {Array<string|number>|string} [path] - Path segments or preformatted path
+ * @returns {string} Dotted path, '' for the root
+ */
+function formatPath(path) { // readable paths for messages and logs
+  if (!Array.isArray(path)) { return path ? String(path) : ''; }
+  return path.reduce((text, segment) => (typeof segment === 'number' ? `${text}[${segment}]` : `${text}${text ? '.' : ''}${segment}`), '');
+}
+
+/**
+ * Read the value at a path
+ *
+ * @param {*} data - Validated data
+ * @param {Array<string|number>} path - Path segments
+ * @returns {*} Value or undefined when the path does not exist
+ */
+function valueAtPath(data, path) { // actual value for issues that do not report one
+  return (Array.isArray(path) ? path : []).reduce((value, segment) => (value === null || value === undefined ? undefined : value[segment]), data);
+}
+
+/**
+ * Describe a value's type the way schema libraries do
+ *
+ * @param {*} value - Value to describe
+ * @returns {string} Type name such as 'string', 'array' or 'null'
+ */
+function describeType(value) { // 'object' alone is too vague for arrays and null
+  if (value === null) { return 'null'; }
+  if (Array.isArray(value)) { return 'array'; }
+  return typeof value;
+}
+
+/**
+ * Convert library specific issues into `{ path, expected, actual, message }`
+ *
+ * Understands zod style `issues`/`errors` arrays (path arrays, `expected`,
+ * `received`) and yup style errors (`path`, `type`). Anything else becomes
+ * one issue at the root.
+ *
+ * @param {*} failure - Error, issue object or issue array
+ * @param {*} data - Validated data, used to report actual values
+ * @returns {Array<Object>} Normalized issues
+ */
+function normalizeIssues(failure, data) {
+  const list = Array.isArray(failure) ? failure : (failure && (failure.issues || failure.errors || failure.inner));
+  const raw = Array.isArray(list) && list.length > 0 && typeof list[0] === 'object' ? list : [failure || {}]; // yup `errors` are strings
+  return raw.map((entry) => {
+    const issue = entry && typeof entry === 'object' ? entry : { message: String(entry) }; // validators may return plain messages
+    const pathSegments = Array.isArray(issue.path) ? issue.path : (typeof issue.path === 'string' && issue.path ? issue.path.split('.') : []);
+    const actual = 'actual' in issue ? issue.actual : valueAtPath(data, pathSegments);
+    return {
+      path: formatPath(issue.path),
+      expected: issue.expected ?? issue.type ?? 'valid value',
+      actual,
+      message: issue.message || `Expected ${issue.expected ?? 'valid value'}, received ${describeType(actual)}` // validators returning false carry no message
+    };
+  });
+}
+
+/**
+ * Run a schema against response data
+ *
+ * @param {Function|Object} schema - Validator function or object with safeParse/parse
+ * @param {*} data - Response data
+ * @returns {{success: boolean, data: *, failure: *}} Outcome with parsed data
+ */
+function runSchema(schema, data) { // single entry for the three supported shapes
+  try {
+    if (typeof schema === 'function') {
+      const result = schema(data);
+      if (result === true || result === undefined) { return { success: true, data }; }
+      return { success: false, data, failure: result === false ? { expected: 'valid response' } : result };
+    }
+    if (schema && typeof schema.safeParse === 'function') {
+      const result = schema.safeParse(data);
+      return result.success ? { success: true, data: result.data } : { success: false, data, failure: result.error };
+    }
+    if (schema && typeof schema.parse === 'function') { return { success: true, data: schema.parse(data) }; }
+  } catch (error) {
+    return { success: false, data, failure: error }; // throwing validators and parse() failures
+  }
+  throw new TypeError('schema must be a function or an object with parse or safeParse'); // misuse, not contract drift
+}
+
+/**
+ * Validate response data and return the (possibly parsed) value
+ *
+ * @param {Function|Object} schema - Validator function or object with safeParse/parse
+ * @param {*} data - Response data
+ * @param {Object} [request] - Request details for the error and log
+ * @param {string} [request.url] - Requested URL
+ * @param {string} [request.method] - HTTP method
+ * @param {number} [request.status] - Response status
+ * @returns {*} Validated data
+ * @throws {ValidationError} When the data does not match
+ */
+function validateResponse(schema, data, request = {}) {
+  const outcome = runSchema(schema, data);
+  if (outcome.success) { return outcome.data; }
+  const issues = normalizeIssues(outcome.failure, data);
+  const first = issues[0];
+  const where = `${request.method || 'GET'} ${request.url || ''}`.trim();
+  const message = `Response validation failed for ${where}${first.path ? ` at ${first.path}` : ''}: ${first.message}`;
+  const error = new ValidationError(message, { status: request.status ?? null, method: request.method ?? null, url: request.url ?? null, body: data, issues });
+  logError(message, null, 'api'); // contract drift should be visible even when callers swallow the error
+  throw error;
+}
+
+module.exports = { // schema validation via CommonJS
+  validateResponse, // validate and parse response data // used by api clients and custom fetchers
+  normalizeIssues,  // issue normalization // exported for custom validators
+  formatPath        // path formatting // exported for consistent messages
+}; // end schema exports
@@ -1,92 +1,260 @@
 /**
  * Socket.IO WebSocket Communication Module
- * 
- * This module handles real-time WebSocket connections for payment outcomes
- * and usage tracking. It provides standardized connection management,
- * event handling, and cleanup patterns for Socket.IO integration.
+ *
+ * This module handles real-time WebSocket connections. `useSocket(config)`
+ * connects to any Socket.IO server, joins rooms and routes named events to
+ * handlers; `useSocketEvent` lets other components listen on the same
+ * connection. The original payment outcome and usage tracking behaviour is a
+ * preset (`usePaymentSocket`) built on top, and `useSocket(userId)` keeps
+ * returning it for existing callers.
+ *
+ * Connections come from the shared manager in `lib/socketManager.js`, so
+ * every hook using the same URL and auth shares one socket. Events can be
+ * written straight into the query cache with `cache` rules (see
+ * `lib/cacheBridge.js`), so pushed data reaches components reading queries.
+ */
+
+const { useState, useEffect, useMemo, useRef, useCallback } = require('react');
+const { socketManager } = require('./socketManager'); // ref-counted shared connections
+const { defaultApiClient } = require('./api'); // shared queryClient unless callers pass another
+const { applyCacheRules } = require('./cacheBridge'); // declarative event to cache rules
+const { SocketError } = require('./apiError'); // emit failures shown by toast helpers
+
+/**
+ * Default Socket.IO server URL
+ *
+ * Development uses localhost:5000, production uses the current origin.
+ *
+ * @returns {string} Server URL
+ */
+function defaultSocketUrl() { // shared by every hook that omits url
+  return (typeof window !== 'undefined' && window.location)
+    ? (window.location.hostname === 'localhost' ? 'http://localhost:5000' : window.location.origin)
+    : 'http://localhost:5000'; // fallback for server-side rendering
+}
+
+/**
+ * React hook for Socket.IO WebSocket communication
+ *
+ * Acquires the shared connection for `url`/`auth` on mount and releases it
+ * on unmount or when they change; the socket closes with its last consumer.
+ * Room ids are sent with `joinEvent` (the `subscribe` convention of our
+ * servers), re-sent after reconnects and, when `leaveEvent` is set, left
+ * again once no consumer needs them.
+ * `emit(event, payload, { ack, timeout, buffer })` sends through the shared
+ * connection. Emits made while it is not connected wait in the connection's
+ * outbox and go out in order after it connects; with `ack` the promise
+ * resolves with the server acknowledgement or rejects with a SocketError.
+ * Handlers in `events` and rules in `cache` may change between renders
+ * without reconnecting; only the set of event names is watched. An event
+ * with both runs its handler first, then its cache rules.
+ *
+ * Passing a user id instead of a config object returns the payment preset
+ * (`usePaymentSocket`) for backwards compatibility. A component should not
+ * switch between the two forms.
+ *
+ * @param {Object|string} config - Connection config, or a user id for the payment preset
+ * @param {string} [config.url] - Server URL (defaults to localhost:5000 in development, current origin otherwise)
+ * @param {Object} [config.auth] - Socket.IO auth payload sent on connect
+ * @param {Array<string>} [config.rooms] - Rooms to join
+ * @param {Object} [config.events] - `{ eventName: (payload) => {} }` handlers
+ * @param {Object} [config.cache] - `{ eventName: rule | rule[] }` cache rules (see `lib/cacheBridge.js`)
+ * @param {Object} [config.client] - API client whose queryClient receives cache writes
+ * @param {string} [config.joinEvent='subscribe'] - Event emitted with each room id
+ * @param {string} [config.leaveEvent] - Event emitted when a room is left
+ * @param {Object} [config.ioOptions] - Extra Socket.IO client options
+ * @param {Function} [config.io] - Connect function (defaults to socket.io-client's `io`)
+ * @param {Object} [presetOptions] - usePaymentSocket options when `config` is a user id
+ * @returns {Object} `{ socket, connected, status, emit }`, or `{ paymentOutcome, usageUpdate }` for the preset
+ */
+function useSocket(config, presetOptions) {
+  if (config === null || typeof config !== 'object') { return usePaymentSocket(config, presetOptions); } // legacy useSocket(userId)
+  return useSocketConnection(config);
+}
+
+/**
+ * Generic connection behind useSocket(config)
+ *
+ * @param {Object} config - See useSocket
+ * @returns {{socket: Object|null, connected: boolean, status: string, emit: Function}} Connection state and emitter
  */
+function useSocketConnection(config) {
+  const { url = defaultSocketUrl(), auth, rooms = [], events = {}, cache = {}, joinEvent = 'subscribe', leaveEvent } = config;
+  console.log(`useSocket is running with ${url}`); // log hook entry with url
+  const [connection, setConnection] = useState(null); // shared connection from the manager
+  const [status, setStatus] = useState('connecting');
+  const configRef = useRef(config); // latest handlers and options without reconnecting
+  configRef.current = config;
+  const authKey = auth ? JSON.stringify(auth) : ''; // reconnect only when the auth content changes
+  const eventNames = [...new Set([...Object.keys(events), ...Object.keys(cache)])].join('|'); // rebind only when names change
+  const roomKey = JSON.stringify(rooms);
+  const socket = connection ? connection.socket : null;
+
+  useEffect(() => {
+    const { io, ioOptions } = configRef.current;
+    const next = socketManager.acquire(url, { auth: authKey ? JSON.parse(authKey) : undefined, io, ioOptions });
+    setConnection(next);
+    setStatus(next.status);
+    const unsubscribe = next.subscribe(setStatus);
+    return () => { // Cleanup releases the connection; the manager disconnects with the last consumer
+      console.log(`useSocket cleaning up connection to ${url}`); // log cleanup
+      unsubscribe();
+      socketManager.release(next);
+      setConnection(null);
+      setStatus('disconnected');
+    };
+  }, [url, authKey]);
+
+  useEffect(() => { // route named events to the latest handlers and cache rules
+    if (!socket || !eventNames) { return undefined; }
+    const bound = eventNames.split('|').map((name) => {
+      const listener = (payload) => {
+        console.log(`useSocket received ${name}:`, payload); // log every incoming event
+        const current = configRef.current;
+        const handler = current.events && current.events[name];
+        if (typeof handler === 'function') { handler(payload); }
+        if (current.cache && current.cache[name]) { applyCacheRules((current.client || defaultApiClient).queryClient, current.cache, name, payload, { type: name }); }
+      };
+      socket.on(name, listener);
+      return [name, listener];
+    });
+    return () => { bound.forEach(([name, listener]) => socket.off(name, listener)); };
+  }, [socket, eventNames]);
+
+  useEffect(() => { // join rooms through the manager so reconnects re-join them
+    if (!connection || !joinEvent) { return undefined; }
+    const joined = JSON.parse(roomKey);
+    joined.forEach((room) => connection.joinRoom(room, joinEvent, leaveEvent));
+    return () => { joined.forEach((room) => connection.leaveRoom(room)); };
+  }, [connection, roomKey, joinEvent, leaveEvent]);
 
-const { useState, useEffect, useMemo } = require('react');
+  const emit = useCallback((event, payload, emitOptions) => { // buffered by the manager while disconnected
+    if (!connection) { return Promise.reject(new SocketError(`You are offline, so "${event}" was not sent.`, { event, url, code: 'NOT_CONNECTED', isNetworkError: true })); } // unmounted or not acquired yet
+    return connection.emit(event, payload, emitOptions);
+  }, [connection, url]);
+
+  return useMemo(() => ({ socket, connected: status === 'connected', status, emit }), [socket, status, emit]); // stable object to prevent unnecessary re-renders
+}
 
 /**
- * React hook for Socket.IO WebSocket communication with payment and usage tracking
+ * Listen to one event on a connection opened by useSocket
  *
- * This hook manages WebSocket connections for real-time payment outcomes and usage updates.
- * It automatically handles connection lifecycle, event subscriptions, and cleanup to prevent
- * memory leaks. The hook follows the library's logging patterns and state management conventions.
+ * The connection is found by `url` and `auth` (defaults match useSocket), or
+ * passed directly as `socket`. Listening starts once a mounted useSocket
+ * opens that connection, so child components may render before the parent
+ * connects.
  *
- * Design decisions:
- * - Uses environment detection to connect to appropriate backend URL
- * - Automatically subscribes to user-specific events using provided userId
- * - Normalizes payment events into consistent outcome objects with status field
- * - Cleans up all event listeners and disconnects socket on unmount
- * - Returns stable state object to prevent unnecessary re-renders
+ * @param {string} name - Event name
+ * @param {Function} handler - `(payload) => {}`; may change between renders
+ * @param {Object} [options] - Connection selection
+ * @param {Object} [options.socket] - Socket to listen on
+ * @param {string} [options.url] - Server URL of the useSocket connection
+ * @param {Object} [options.auth] - Auth payload of the useSocket connection
+ */
+function useSocketEvent(name, handler, options = {}) {
+  const url = options.url || defaultSocketUrl();
+  const authKey = options.auth ? JSON.stringify(options.auth) : '';
+  const lookup = () => { const connection = socketManager.get(url, authKey ? JSON.parse(authKey) : undefined); return connection ? connection.socket : null; };
+  const [registered, setRegistered] = useState(lookup);
+  const handlerRef = useRef(handler); // latest handler without resubscribing
+  handlerRef.current = handler;
+  const socket = options.socket || registered;
+
+  useEffect(() => { // follow the manager until the connection exists
+    if (options.socket) { return undefined; }
+    const sync = () => setRegistered(lookup());
+    sync();
+    return socketManager.subscribe(sync);
+  }, [url, authKey, options.socket]); // lookup only depends on url and auth
+
+  useEffect(() => {
+    if (!socket || !name) { return undefined; }
+    const listener = (payload) => handlerRef.current(payload);
+    socket.on(name, listener);
+    return () => { socket.off(name, listener); };
+  }, [socket, name]);
+}
+
+/**
+ * Payment outcome and usage tracking preset
  *
- * The implementation prioritizes connection reliability over performance, ensuring
- * that failed connections are properly cleaned up and event listeners don't leak.
- * All socket events are logged for debugging support in development.
+ * Subscribes with the user id and normalizes `paymentSuccess`/`paymentFailure`
+ * into outcome objects with a `status` field; `usageUpdate` payloads are
+ * stored as received. With `usageQueryKey`, each `usageUpdate` also replaces
+ * that query's data so screens reading usage through React Query stay current.
  *
  * @param {string} userId - User identifier for event subscription
+ * @param {Object} [options] - Preset options; `url`, `auth`, `io` and `ioOptions` are passed to the connection
+ * @param {Array} [options.usageQueryKey] - Query key receiving `usageUpdate` payloads
+ * @param {Object} [options.cache] - Extra cache rules (see `lib/cacheBridge.js`)
+ * @param {Object} [options.client] - API client whose queryClient receives cache writes
  * @returns {Object} State object containing paymentOutcome and usageUpdate
  */
-function useSocket(userId) {
+function usePaymentSocket(userId, options = {}) {
   console.log(`useSocket is running with userId ${userId}`); // log hook entry with id
-  
   const [paymentOutcome, setPaymentOutcome] = useState(null); // track payment success/failure events
   const [usageUpdate, setUsageUpdate] = useState(null); // track usage update events
-  
-  useEffect(() => {
-    // Import socket.io-client dynamically to avoid bundling issues
-    const { io } = require('socket.io-client');
-    
-    // Determine backend URL based on environment - dev uses localhost, production uses current origin
-    const url = (typeof window !== 'undefined' && window.location) 
-      ? (window.location.hostname === 'localhost' ? 'http://localhost:5000' : window.location.origin)
-      : 'http://localhost:5000'; // fallback for server-side rendering
-    
-    console.log(`useSocket connecting to ${url}`); // log selected URL for debugging
-    
-    const socket = io(url); // connect to socket server with chosen URL
-    
-    // Subscribe to user-specific events after connection
-    socket.emit('subscribe', userId); // subscribe with user id after connection
-    
-    // Set up event listeners for payment outcomes with status normalization
-    socket.on('paymentSuccess', (data) => {
-      console.log(`useSocket received paymentSuccess:`, data); // log payment success event
-      setPaymentOutcome({ status: 'success', ...data }); // normalize with success status
-    });
-    
-    socket.on('paymentFailure', (data) => {
-      console.log(`useSocket received paymentFailure:`, data); // log payment failure event
-      setPaymentOutcome({ status: 'failure', ...data }); // normalize with failure status
-    });
-    
-    socket.on('usageUpdate', (data) => {
-      console.log(`useSocket received usageUpdate:`, data); // log usage update event
-      setUsageUpdate(data); // store usage data directly without transformation
-    });
-    
-    // Cleanup function removes all listeners and disconnects socket
-    return () => {
-      console.log(`useSocket cleaning up connection for userId ${userId}`); // log cleanup
-      socket.off('paymentSuccess'); // remove payment success listener
-      socket.off('paymentFailure'); // remove payment failure listener  
-      socket.off('usageUpdate'); // remove usage update listener
-      socket.disconnect(); // close socket connection
-    };
-  }, [userId]); // re-establish connection when userId changes
-  
+
+  const { usageQueryKey, cache, client, ...connectionOptions } = options;
+  useSocketConnection({
+    ...connectionOptions, // url, auth and io overrides
+    rooms: userId ? [userId] : [], // subscribe with user id after connection; nothing to subscribe before it exists
+    events: {
+      paymentSuccess: (data) => setPaymentOutcome({ status: 'success', ...data }), // normalize with success status
+      paymentFailure: (data) => setPaymentOutcome({ status: 'failure', ...data }), // normalize with failure status
+      usageUpdate: (data) => setUsageUpdate(data) // store usage data directly without transformation
+    },
+    cache: usageQueryKey ? { usageUpdate: { queryKey: usageQueryKey }, ...cache } : cache, // explicit rules override the usage shortcut
+    client
+  });
+
   // Return stable state object to prevent unnecessary re-renders in consuming components
-  const state = useMemo(() => ({ 
-    paymentOutcome, 
-    usageUpdate 
+  const state = useMemo(() => ({
+    paymentOutcome,
+    usageUpdate
   }), [paymentOutcome, usageUpdate]); // memoize to maintain reference stability
-  
+
   console.log(`useSocket is returning ${JSON.stringify(state)}`); // exit log with current state
   return state; // return current payment and usage state
 }
 
+/**
+ * Connection status of a shared socket
+ *
+ * Reports the status of the connection opened by a mounted useSocket with
+ * the same `url` and `auth`, or 'disconnected' when there is none.
+ *
+ * @param {Object} [options] - Connection selection
+ * @param {string} [options.url] - Server URL
+ * @param {Object} [options.auth] - Auth payload
+ * @returns {string} 'connecting', 'connected', 'reconnecting' or 'disconnected'
+ */
+function useSocketStatus(options = {}) {
+  const url = options.url || defaultSocketUrl();
+  const authKey = options.auth ? JSON.stringify(options.auth) : '';
+  const read = () => { const connection = socketManager.get(url, authKey ? JSON.parse(authKey) : undefined); return connection ? connection.status : 'disconnected'; };
+  const [status, setStatus] = useState(read);
+
+  useEffect(() => { // follow the connection and its replacements
+    let unsubscribeConnection = () => {};
+    const sync = () => {
+      unsubscribeConnection();
+      const connection = socketManager.get(url, authKey ? JSON.parse(authKey) : undefined);
+      unsubscribeConnection = connection ? connection.subscribe(setStatus) : () => {};
+      setStatus(connection ? connection.status : 'disconnected');
+    };
+    sync();
+    const unsubscribeRegistry = socketManager.subscribe(sync);
+    return () => { unsubscribeRegistry(); unsubscribeConnection(); };
+  }, [url, authKey]);
+
+  return status;
+}
+
 module.exports = {
-  useSocket
-};
\ No newline at end of file
+  useSocket,        // generic connection or legacy payment preset // public entry point
+  useSocketEvent,   // listen on an existing connection // public for child components
+  useSocketStatus,  // connection status of a shared socket // public for status indicators
+  usePaymentSocket, // payment and usage preset // public for billing screens
+  defaultSocketUrl  // environment based server URL // exported for custom io setups
+};
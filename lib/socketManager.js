@@ -0,0 +1,224 @@
+/**
+ * Socket Connection Manager Module
+ *
+ * Shares one Socket.IO connection per server URL and auth payload between all
+ * consumers. Hooks `acquire` a connection on mount and `release` it on
+ * unmount; the socket disconnects only when the last consumer is gone.
+ *
+ * Each connection also tracks:
+ * - status: 'connecting', 'connected', 'reconnecting' or 'disconnected'
+ * - joined rooms with their own reference counts, re-joined automatically
+ *   after Socket.IO reconnects (servers forget rooms when a socket drops)
+ * - an outbox for `emit` calls made while not connected, flushed in order
+ *   once the socket connects again
+ */
+
+const { SocketError } = require('./apiError'); // toast friendly emit failures
+
+/**
+ * Default time to wait for an acknowledgement
+ */
+const DEFAULT_ACK_TIMEOUT = 10000; // long enough for slow mobile links
+
+/**
+ * Identify a connection by server and credentials
+ *
+ * @param {string} url - Server URL
+ * @param {Object} [auth] - Socket.IO auth payload
+ * @returns {string} Connection key
+ */
+function connectionKey(url, auth) { // same server with other credentials is another connection
+  return `${url}|${auth ? JSON.stringify(auth) : ''}`;
+}
+
+/**
+ * Create a connection manager
+ *
+ * @param {Object} [options] - Manager options
+ * @param {Function} [options.io] - Default connect function (defaults to socket.io-client's `io`)
+ * @returns {Object} Manager with acquire, release, get, subscribe and size
+ */
+function createSocketManager(options = {}) {
+  const connections = new Map(); // key -> connection
+  const registryListeners = new Set(); // notified when connections open or close
+
+  function notifyRegistry() { registryListeners.forEach((listener) => listener()); }
+
+  function openConnection(key, url, { auth, ioOptions = {}, io }) { // one socket plus bookkeeping
+    const connect = io || options.io || require('socket.io-client').io; // Import socket.io-client lazily to avoid bundling issues
+    console.log(`socketManager connecting to ${url}`); // log each new physical connection
+    const socket = connect(url, { ...ioOptions, ...(auth ? { auth } : {}) });
+    const rooms = new Map(); // room -> { count, joinEvent, leaveEvent }
+    const statusListeners = new Set();
+    const outbox = []; // emits waiting for a connection, oldest first
+    let hasConnected = false; // first connect flushes buffered joins by itself
+
+    function send(message) { // hand one message to Socket.IO
+      const { event, payload, options, resolve, reject } = message;
+      const args = payload === undefined ? [event] : [event, payload];
+      if (!options.ack) { socket.emit(...args); resolve(); return; }
+      const timeout = options.timeout ?? DEFAULT_ACK_TIMEOUT;
+      let settled = false;
+      const timer = Number.isFinite(timeout) ? setTimeout(() => { // timeout counts from the actual send
+        settled = true;
+        reject(new SocketError(`The server did not respond to "${event}" in time. Please try again.`, { event, url, code: 'ACK_TIMEOUT', isTimeout: true }));
+      }, timeout) : null;
+      socket.emit(...args, (response) => {
+        if (settled) { return; } // late acknowledgement after the timeout
+        settled = true;
+        clearTimeout(timer);
+        resolve(response);
+      });
+    }
+
+    const connection = {
+      key,
+      url,
+      socket,
+      refCount: 0,
+      status: socket.connected ? 'connected' : 'connecting',
+
+      /**
+       * Join a room, counting repeated joins
+       *
+       * @param {*} room - Room id
+       * @param {string} joinEvent - Event emitted to join
+       * @param {string} [leaveEvent] - Event emitted when the last member leaves
+       */
+      joinRoom(room, joinEvent, leaveEvent) {
+        const entry = rooms.get(room);
+        if (entry) { entry.count++; return; } // already joined on this connection
+        rooms.set(room, { count: 1, joinEvent, leaveEvent });
+        socket.emit(joinEvent, room); // Socket.IO buffers the emit until connected
+      },
+
+      /**
+       * Leave a room once no consumer needs it
+       *
+       * @param {*} room - Room id
+       */
+      leaveRoom(room) {
+        const entry = rooms.get(room);
+        if (!entry) { return; }
+        entry.count--;
+        if (entry.count > 0) { return; }
+        rooms.delete(room);
+        if (entry.leaveEvent) { socket.emit(entry.leaveEvent, room); }
+      },
+
+      rooms: () => [...rooms.keys()], // joined room ids
+
+      /**
+       * Emit an event, buffering it while not connected
+       *
+       * @param {string} event - Event name
+       * @param {*} [payload] - Event payload
+       * @param {Object} [emitOptions] - Emit options
+       * @param {boolean} [emitOptions.ack=false] - Wait for the server acknowledgement
+       * @param {number} [emitOptions.timeout=10000] - Acknowledgement timeout in ms (Infinity waits forever)
+       * @param {boolean} [emitOptions.buffer=true] - Queue while disconnected; false rejects instead
+       * @returns {Promise<*>} Acknowledgement payload, or undefined once sent without ack
+       */
+      emit(event, payload, emitOptions = {}) {
+        return new Promise((resolve, reject) => {
+          const message = { event, payload, options: emitOptions, resolve, reject };
+          if (connection.status === 'connected') { send(message); return; }
+          if (emitOptions.buffer === false) {
+            reject(new SocketError(`You are offline, so "${event}" was not sent.`, { event, url, code: 'NOT_CONNECTED', isNetworkError: true }));
+            return;
+          }
+          outbox.push(message); // flushed on the next connect
+        });
+      },
+
+      pending: () => outbox.length, // buffered emits
+
+      /**
+       * Reject buffered emits; called when the connection is released
+       */
+      closeOutbox() {
+        outbox.splice(0).forEach(({ event, reject }) => reject(new SocketError(`The connection closed before "${event}" was sent.`, { event, url, code: 'SOCKET_CLOSED', isNetworkError: true })));
+      },
+
+      subscribe(listener) { statusListeners.add(listener); return () => { statusListeners.delete(listener); }; }
+    };
+
+    function setStatus(status) {
+      if (connection.status === status) { return; }
+      connection.status = status;
+      statusListeners.forEach((listener) => listener(status));
+    }
+
+    socket.on('connect', () => {
+      if (hasConnected) { rooms.forEach((entry, room) => socket.emit(entry.joinEvent, room)); } // server dropped our rooms with the old socket id
+      hasConnected = true;
+      setStatus('connected');
+      outbox.splice(0).forEach(send); // after room joins so messages reach joined rooms
+    });
+    socket.on('disconnect', (reason) => { // client initiated disconnects do not reconnect
+      setStatus(reason === 'io client disconnect' || reason === 'io server disconnect' ? 'disconnected' : 'reconnecting');
+    });
+    if (socket.io && typeof socket.io.on === 'function') { // manager events exist on real Socket.IO clients
+      socket.io.on('reconnect_attempt', () => setStatus('reconnecting'));
+      socket.io.on('reconnect_failed', () => setStatus('disconnected'));
+    }
+    return connection;
+  }
+
+  /**
+   * Get or open the shared connection for a server and auth payload
+   *
+   * @param {string} url - Server URL
+   * @param {Object} [connectOptions] - Connection options
+   * @param {Object} [connectOptions.auth] - Socket.IO auth payload
+   * @param {Object} [connectOptions.ioOptions] - Extra client options (first consumer wins)
+   * @param {Function} [connectOptions.io] - Connect function (first consumer wins)
+   * @returns {Object} Connection; pass it to release when done
+   */
+  function acquire(url, connectOptions = {}) {
+    const key = connectionKey(url, connectOptions.auth);
+    let connection = connections.get(key);
+    if (!connection) {
+      connection = openConnection(key, url, connectOptions);
+      connections.set(key, connection);
+      notifyRegistry();
+    }
+    connection.refCount++;
+    return connection;
+  }
+
+  /**
+   * Give up one reference; the last one disconnects the socket
+   *
+   * @param {Object} connection - Connection returned by acquire
+   */
+  function release(connection) {
+    if (!connection || connections.get(connection.key) !== connection) { return; } // already closed
+    connection.refCount--;
+    if (connection.refCount > 0) { return; }
+    console.log(`socketManager disconnecting from ${connection.url}`); // log physical disconnects
+    connections.delete(connection.key);
+    connection.socket.disconnect();
+    connection.status = 'disconnected'; // listeners are gone with their consumers
+    connection.closeOutbox();
+    notifyRegistry();
+  }
+
+  function get(url, auth) { return connections.get(connectionKey(url, auth)) || null; } // lookup without acquiring
+
+  function subscribe(listener) { registryListeners.add(listener); return () => { registryListeners.delete(listener); }; } // connection open/close events
+
+  return { acquire, release, get, subscribe, get size() { return connections.size; } };
+}
+
+/**
+ * Manager shared by the socket hooks
+ */
+const socketManager = createSocketManager(); // one pool per page keeps connection counts low
+
+module.exports = { // socket connection manager via CommonJS
+  createSocketManager, // isolated managers for tests or separate pools
+  socketManager,       // shared manager used by useSocket // public for non-React code
+  connectionKey,       // connection identity // exported for debugging
+  DEFAULT_ACK_TIMEOUT  // default ack timeout // exported for documentation
+}; // end socket manager exports
@@ -0,0 +1,124 @@
+/**
+ * Storage Adapter Module
+ *
+ * Small async key/value adapters used for anything the library persists
+ * between page loads (offline mutation queue, query cache). Every adapter has
+ * the same promise-based shape so callers never branch on the backend:
+ *
+ *   { getItem(key), setItem(key, value), removeItem(key) }
+ *
+ * Values are plain JSON-serializable data; adapters handle serialization.
+ * `resolveStorage` picks IndexedDB, then localStorage, then memory depending
+ * on what the environment offers, so the same code runs in browsers and Node.
+ */
+
+/**
+ * Create an in-memory adapter
+ *
+ * Used under Node and as the last fallback. Values are copied through JSON so
+ * callers cannot mutate stored data by accident, matching the other adapters.
+ *
+ * @returns {Object} Storage adapter
+ */
+function createMemoryStorage() { // process-lifetime store
+  const map = new Map();
+  return {
+    type: 'memory', // exposed for debugging
+    async getItem(key) { return map.has(key) ? JSON.parse(map.get(key)) : null; },
+    async setItem(key, value) { map.set(key, JSON.stringify(value)); },
+    async removeItem(key) { map.delete(key); }
+  };
+}
+
+/**
+ * Create an adapter backed by window.localStorage
+ *
+ * @param {Storage} [storage] - Web Storage object (defaults to window.localStorage)
+ * @returns {Object} Storage adapter
+ */
+function createLocalStorage(storage = typeof window !== 'undefined' ? window.localStorage : undefined) { // synchronous API wrapped in promises
+  if (!storage) { throw new Error('localStorage is not available in this environment'); } // callers use resolveStorage for fallbacks
+  return {
+    type: 'localStorage', // exposed for debugging
+    async getItem(key) {
+      const raw = storage.getItem(key);
+      if (raw === null || raw === undefined) { return null; }
+      try { return JSON.parse(raw); } catch (error) { return null; } // corrupted values behave like missing ones
+    },
+    async setItem(key, value) { storage.setItem(key, JSON.stringify(value)); }, // quota errors propagate to the caller
+    async removeItem(key) { storage.removeItem(key); }
+  };
+}
+
+/**
+ * Create an adapter backed by IndexedDB
+ *
+ * Uses one object store with out-of-line keys. The database opens lazily on
+ * first use and the connection is reused afterwards.
+ *
+ * @param {Object} [options] - IndexedDB options
+ * @param {string} [options.dbName='qreactutils'] - Database name
+ * @param {string} [options.storeName='keyval'] - Object store name
+ * @param {IDBFactory} [options.indexedDB] - Factory (defaults to the global indexedDB)
+ * @returns {Object} Storage adapter
+ */
+function createIndexedDBStorage(options = {}) { // structured clone store for larger payloads
+  const { dbName = 'qreactutils', storeName = 'keyval', indexedDB: factory = typeof indexedDB !== 'undefined' ? indexedDB : undefined } = options;
+  if (!factory) { throw new Error('IndexedDB is not available in this environment'); } // callers use resolveStorage for fallbacks
+  let dbPromise = null; // shared connection
+
+  function open() { // open once, create the store on first run
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = factory.open(dbName, 1);
+        request.onupgradeneeded = () => { request.result.createObjectStore(storeName); };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => { dbPromise = null; reject(request.error); }; // allow a later retry
+      });
+    }
+    return dbPromise;
+  }
+
+  async function run(mode, operation) { // wrap one request in a transaction
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  return {
+    type: 'indexedDB', // exposed for debugging
+    async getItem(key) { const value = await run('readonly', (store) => store.get(key)); return value === undefined ? null : value; },
+    async setItem(key, value) { await run('readwrite', (store) => store.put(value, key)); },
+    async removeItem(key) { await run('readwrite', (store) => store.delete(key)); }
+  };
+}
+
+/**
+ * Pick a storage adapter
+ *
+ * Accepts an adapter object (returned as-is), a backend name, or nothing to
+ * choose the best available backend. Named backends that are unavailable fall
+ * back to memory so server rendering and tests keep working.
+ *
+ * @param {Object|string} [preference] - Adapter, 'indexedDB', 'localStorage' or 'memory'
+ * @returns {Object} Storage adapter
+ */
+function resolveStorage(preference) { // environment aware selection
+  if (preference && typeof preference === 'object') { return preference; } // custom adapter
+  const hasIndexedDB = typeof indexedDB !== 'undefined';
+  const hasLocalStorage = typeof window !== 'undefined' && !!window.localStorage;
+  const name = String(preference || (hasIndexedDB ? 'indexedDB' : hasLocalStorage ? 'localStorage' : 'memory')).toLowerCase();
+  if (name === 'indexeddb' && hasIndexedDB) { return createIndexedDBStorage(); }
+  if (name === 'localstorage' && hasLocalStorage) { return createLocalStorage(); }
+  return createMemoryStorage(); // Node or restricted browsers
+}
+
+module.exports = { // storage adapters via CommonJS
+  createMemoryStorage,    // in-memory adapter // public for tests and Node
+  createLocalStorage,     // localStorage adapter // public for explicit selection
+  createIndexedDBStorage, // IndexedDB adapter // public for explicit selection
+  resolveStorage          // best available adapter // used by persistence features
+}; // end storage exports
@@ -52,14 +52,28 @@ async function executeWithErrorToast(operation, toast, errorTitle = 'Error') { /
  * Typical usage: saving data where users expect a "Saved" toast on completion
  * or an error toast when something goes wrong.
  *
+ * With `options.loading` and a toast function offering `promise` (the
+ * advanced toast), a loading toast is shown while the operation runs and
+ * turns into the success or error toast instead of a second toast appearing.
+ * Toast functions without `promise` keep the two-toast behaviour.
+ *
  * @param {Function} operation - Async operation to execute
  * @param {Object} toast - Toast instance
  * @param {string} successMessage - Success message
  * @param {string} errorTitle - Title for error toast
+ * @param {Object} [options] - Extra options
+ * @param {string|Object} [options.loading] - Loading toast content while the operation runs
  * @returns {*} Operation result or throws error
  */
 // Rationale: success toasts are optional; this helper covers flows needing explicit success feedback while the error-only version keeps other flows quiet
-async function executeWithToastFeedback(operation, toast, successMessage, errorTitle = 'Error') { // show success or error toast
+async function executeWithToastFeedback(operation, toast, successMessage, errorTitle = 'Error', options = {}) { // show success or error toast
+  if (options.loading !== undefined && toast && typeof toast.promise === 'function') { // one toast moving through loading, success and error
+    return toast.promise(operation, {
+      loading: options.loading,
+      success: () => ({ title: 'Success', description: successMessage }), // same wording as showToast below
+      error: (error) => ({ title: errorTitle, description: error instanceof Error ? error.message : 'Operation failed' })
+    });
+  }
   try {
 
 
@@ -0,0 +1,213 @@
+/**
+ * File Upload Module
+ *
+ * `uploadFile` and `useUpload` send files through an API client with progress
+ * reporting and cancellation. Small files go out as one multipart request.
+ * Large files can be split into chunks using the simple resumable protocol
+ * below, so a dropped connection only costs the chunk in flight.
+ *
+ * Chunk protocol (relative to the upload URL):
+ *   POST {url}/init                 JSON { fileName, size, type, chunkSize, fields } -> { uploadId }
+ *   GET  {url}/{uploadId}           -> { received }  bytes already stored (used when resuming)
+ *   PUT  {url}/{uploadId}           raw chunk, header `Content-Range: bytes start-end/size` -> { received }
+ *   POST {url}/{uploadId}/complete  -> final upload result
+ *
+ * Chunk PUTs are idempotent, so the client retry policy covers transient
+ * failures. A cancelled or failed chunked upload can be resumed by calling
+ * `uploadFile` again with the same `uploadId`.
+ */
+
+const { useState, useCallback, useEffect, useRef } = require('react'); // hook primitives
+const { defaultApiClient } = require('./api'); // shared client unless callers pass another
+
+/**
+ * Default chunk size used when chunked uploads are enabled
+ */
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024; // 5 MB keeps request count low while limiting retry cost
+
+/**
+ * Report progress as a whole percent plus byte counts
+ *
+ * @param {Function} [onProgress] - Progress callback
+ * @param {number} loaded - Bytes sent
+ * @param {number} total - Total bytes
+ */
+function reportProgress(onProgress, loaded, total) { // one place that clamps and rounds
+  if (typeof onProgress !== 'function') { return; }
+  const percent = total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : 100; // empty files count as done
+  onProgress(percent, { loaded, total });
+}
+
+/**
+ * Upload a file as a single multipart request
+ *
+ * @param {Object} client - API client
+ * @param {string} url - Upload endpoint
+ * @param {Blob} file - File or Blob to send
+ * @param {Object} options - Upload options
+ * @returns {Promise<*>} Server response data
+ */
+async function uploadMultipart(client, url, file, options) { // one request for small files
+  const { fieldName = 'file', fields = {}, onProgress, signal, headers } = options;
+  const form = new FormData(); // apiRequest switches the content type for FormData bodies
+  Object.keys(fields).forEach((key) => { form.append(key, fields[key]); }); // metadata first so servers can stream the file
+  form.append(fieldName, file, file.name || 'blob');
+  const size = file.size ?? 0;
+  const result = await client.apiRequest(url, 'POST', form, {
+    signal,
+    headers,
+    queue: false, // a queued marker would look like a finished upload
+    onUploadProgress: (event) => reportProgress(onProgress, event.loaded, event.total || size) // some environments omit total
+  });
+  reportProgress(onProgress, size, size); // guarantee 100% even when no progress events fired
+  return result;
+}
+
+/**
+ * Upload a file in chunks using the resumable protocol
+ *
+ * @param {Object} client - API client
+ * @param {string} url - Upload endpoint
+ * @param {Blob} file - File or Blob to send
+ * @param {Object} options - Upload options
+ * @returns {Promise<*>} Response of the complete request
+ */
+async function uploadChunked(client, url, file, options) { // several requests for large files
+  const { chunkSize = DEFAULT_CHUNK_SIZE, fields = {}, onProgress, onUploadId, signal, headers } = options;
+  const size = file.size;
+  const base = url.replace(/\/+$/, ''); // protocol paths append to the upload URL
+  let { uploadId } = options; // provided when resuming
+  let received = 0; // bytes the server already has
+
+  if (uploadId) { // resume: ask the server where to continue
+    const status = await client.apiRequest(`${base}/${encodeURIComponent(uploadId)}`, 'GET', null, { signal, headers, cache: false, dedupe: false }); // a cached or shared count could skip or resend chunks
+    received = Number(status?.received) || 0;
+  } else { // new upload session
+    const session = await client.apiRequest(`${base}/init`, 'POST', { fileName: file.name || 'blob', size, type: file.type || 'application/octet-stream', chunkSize, fields }, { signal, headers, queue: false }); // uploads fail instead of queueing, callers resume them
+    uploadId = session?.uploadId;
+    if (!uploadId) { throw new Error('Upload init response did not include an uploadId'); } // protocol violation
+  }
+  if (typeof onUploadId === 'function') { onUploadId(uploadId); } // let callers persist the id for resuming later
+  reportProgress(onProgress, received, size);
+
+  while (received < size) { // send remaining chunks in order
+    const end = Math.min(received + chunkSize, size); // exclusive end offset
+    const chunkStart = received;
+    const status = await client.apiRequest(`${base}/${encodeURIComponent(uploadId)}`, 'PUT', file.slice(chunkStart, end), {
+      signal,
+      queue: false, // a queued marker would count the chunk as stored
+      headers: { ...(headers || {}), 'Content-Type': 'application/octet-stream', 'Content-Range': `bytes ${chunkStart}-${end - 1}/${size}` }, // inclusive range like HTTP
+      onUploadProgress: (event) => reportProgress(onProgress, chunkStart + (event.loaded || 0), size)
+    });
+    received = Number(status?.received) || end; // trust the server's count so gaps get resent
+    reportProgress(onProgress, received, size);
+  }
+
+  return client.apiRequest(`${base}/${encodeURIComponent(uploadId)}/complete`, 'POST', {}, { signal, headers, queue: false });
+}
+
+/**
+ * Upload a file with progress reporting and cancellation
+ *
+ * Files larger than `chunkThreshold` (or any file when `chunked: true`) use
+ * the chunk protocol; others are sent as one multipart request. Cancelled
+ * uploads reject with an ApiError whose `isCanceled` flag is set.
+ *
+ * @param {string} url - Upload endpoint
+ * @param {Blob} file - File or Blob to upload
+ * @param {Object} [options] - Upload options
+ * @param {string} [options.fieldName='file'] - Multipart field holding the file
+ * @param {Object} [options.fields] - Extra form fields (sent with `init` for chunked uploads)
+ * @param {Function} [options.onProgress] - `(percent, { loaded, total })` callback
+ * @param {AbortSignal} [options.signal] - Cancels the upload
+ * @param {Object} [options.headers] - Extra headers for every request
+ * @param {boolean} [options.chunked] - Force (true) or disable (false) chunking
+ * @param {number} [options.chunkSize=5MB] - Bytes per chunk
+ * @param {number} [options.chunkThreshold] - Size above which chunking starts (defaults to chunkSize)
+ * @param {string} [options.uploadId] - Resume a previous chunked upload
+ * @param {Function} [options.onUploadId] - Receives the upload id once known
+ * @param {Object} [options.client] - API client (defaults to the shared client)
+ * @returns {Promise<*>} Server response data
+ */
+async function uploadFile(url, file, options = {}) {
+  console.log(`uploadFile is running with ${url}`); // entry log for tracing
+  if (!file || typeof file.slice !== 'function') { throw new Error('uploadFile requires a File or Blob'); } // fail before any request
+  const { client = defaultApiClient, chunked, chunkSize = DEFAULT_CHUNK_SIZE, chunkThreshold = chunkSize } = options;
+  const useChunks = chunked ?? (file.size > chunkThreshold || !!options.uploadId); // resuming implies chunked
+  const result = useChunks
+    ? await uploadChunked(client, url, file, { ...options, chunkSize })
+    : await uploadMultipart(client, url, file, options);
+  console.log(`uploadFile is returning result for ${url}`); // exit log for tracing
+  return result;
+}
+
+/**
+ * React hook wrapping uploadFile with progress state and cancellation
+ *
+ * The hook remembers the upload id of chunked uploads so `resume()` continues
+ * after a failure or `cancel()`. In-flight uploads are aborted on unmount.
+ *
+ * @param {string} url - Upload endpoint
+ * @param {Object} [options] - Default uploadFile options
+ * @returns {Object} { upload, cancel, resume, reset, progress, isUploading, error, result, uploadId }
+ */
+function useUpload(url, options = {}) {
+  console.log(`useUpload is running with ${url}`); // entry log for tracing
+  const [state, setState] = useState({ progress: 0, isUploading: false, error: null, result: null, uploadId: null });
+  const controllerRef = useRef(null); // abort controller of the running upload
+  const lastFileRef = useRef(null); // file kept for resume
+  const mountedRef = useRef(true); // avoid state updates after unmount
+  const optionsRef = useRef(options); // latest options without recreating callbacks
+  optionsRef.current = options;
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => { mountedRef.current = false; controllerRef.current?.abort(); }; // unmounting cancels the upload
+  }, []);
+
+  const update = useCallback((patch) => { if (mountedRef.current) { setState((prev) => ({ ...prev, ...patch })); } }, []);
+
+  const start = useCallback(async (file, overrides = {}) => { // shared by upload and resume
+    controllerRef.current?.abort(); // one upload at a time per hook
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    lastFileRef.current = file;
+    update({ isUploading: true, error: null, result: null, progress: 0, uploadId: overrides.uploadId ?? null }); // a new file starts a new session
+    try {
+      const result = await uploadFile(url, file, {
+        ...optionsRef.current,
+        ...overrides,
+        signal: controller.signal,
+        onProgress: (progress, detail) => { update({ progress }); optionsRef.current.onProgress?.(progress, detail); },
+        onUploadId: (uploadId) => { update({ uploadId }); optionsRef.current.onUploadId?.(uploadId); }
+      });
+      update({ isUploading: false, result, progress: 100 });
+      return result;
+    } catch (error) {
+      update({ isUploading: false, error });
+      throw error; // callers decide how to surface failures
+    } finally {
+      if (controllerRef.current === controller) { controllerRef.current = null; }
+    }
+  }, [url, update]);
+
+  const upload = useCallback((file, overrides) => start(file, overrides), [start]);
+  const cancel = useCallback(() => { controllerRef.current?.abort(); }, []);
+  const resume = useCallback(() => { // continue the last chunked upload
+    if (!lastFileRef.current || !state.uploadId) { return Promise.reject(new Error('No upload to resume')); }
+    return start(lastFileRef.current, { uploadId: state.uploadId });
+  }, [start, state.uploadId]);
+  const reset = useCallback(() => {
+    controllerRef.current?.abort();
+    lastFileRef.current = null;
+    update({ progress: 0, isUploading: false, error: null, result: null, uploadId: null });
+  }, [update]);
+
+  return { ...state, upload, cancel, resume, reset };
+}
+
+module.exports = { // upload helpers via CommonJS
+  uploadFile,        // multipart and chunked uploads // public for non-React callers
+  useUpload,         // upload state hook // public for components
+  DEFAULT_CHUNK_SIZE // default chunk size // exported so apps can reason about chunk counts
+}; // end upload exports
@@ -10,6 +10,8 @@
  * guards keeps individual hooks readable and ensures consistent behavior.
  */
 
+const { isApiError } = require('./apiError'); // dependency-free guard so normalized request errors are recognized
+
 /**
  * Check if a value is a valid function
  *
@@ -80,12 +82,15 @@ const safeStringify = require('safe-json-stringify'); // third-party serializer
  * Typical usage: determining if a fetch should redirect to login after a 401.
  * Using axios.isAxiosError avoids brittle instanceof checks that fail across axios versions.
  * Lazy require keeps the module safe for test mocks and avoids circular imports.
+ * ApiError instances thrown by the request helpers are recognized as well, so
+ * the same guard works before and after error normalization.
  *
  * @param {*} error - Error to check
  * @param {number} status - Expected status code
  * @returns {boolean} True if error is axios error with specified status
  */
 function isAxiosErrorWithStatus(error, status) { // confirm axios error has matching status so hooks can react correctly
+  if (isApiError(error)) { return error.status === status; } // normalized errors from apiRequest/getQueryFn carry status directly
   // require here so libraries using axios mocks in tests can intercept without caching
   const axios = require('axios'); // import lazily to avoid circular deps
   return axios.isAxiosError(error) && error.response?.status === status; // prevents misidentifying generic errors as HTTP errors // optional chaining handles missing response gracefully
@@ -325,6 +325,41 @@ async function assertApiError(endpoint, expectedErrorPattern, testDescription) {
   }
 }
 
+/**
+ * Start an HTTP server on a free local port
+ *
+ * Integration tests run the library against real servers (Express,
+ * socket.io) so encoding and transport details are exercised end to end.
+ *
+ * @param {Function} [listener] - Request listener such as an Express app
+ * @returns {Promise<{server: Object, url: string, close: Function}>} Running server
+ */
+function startHttpServer(listener) { // port 0 lets the OS pick so parallel runs never clash
+  const server = require('http').createServer(listener);
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => {
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const close = () => new Promise((done) => { server.closeAllConnections(); server.close(() => done()); }); // keep-alive sockets would hold the process open
+    resolve({ server, url, close });
+  }));
+}
+
+/**
+ * Send a client's requests over real HTTP
+ *
+ * The suite swaps the `axios` module for a stub, so the real build is loaded
+ * by file path for tests that talk to a local server.
+ *
+ * @param {Object} client - Client from createApiClient
+ * @param {string} baseURL - Server origin
+ * @returns {Object} The same client
+ */
+function useRealHttp(client, baseURL) { // only the transport changes; middleware, retry and cache stay in play
+  const realAxios = require('axios/dist/node/axios.cjs');
+  const instance = realAxios.create({ baseURL, headers: { 'Content-Type': 'application/json' } }); // mirrors createApiClient defaults
+  client.axiosClient.request = (config) => instance.request(config);
+  return client;
+}
+
 // Import validation utilities after axios mock is in place so axios.isAxiosError uses the stub
 const { isFunction, isObject, safeStringify, isAxiosErrorWithStatus } = require('../lib/validation.js');
 // Load internal helper tests so they run within this suite
@@ -722,6 +757,37 @@ runTest('formatAxiosError with various error types', () => {
   assertEqual(strErr.message, 'string error', 'Should preserve string message'); // confirm text
 });
 
+runTest('formatAxiosError returns structured ApiError', () => {
+  const { ApiError } = require('../index.js');
+  const err = formatAxiosError({
+    isAxiosError: true,
+    message: 'Request failed',
+    code: 'ERR_BAD_REQUEST',
+    config: { method: 'post', url: '/api/items' },
+    response: { status: 422, data: '{"field":"name"}', headers: { 'X-Request-Id': 'req-1' } }
+  });
+  assert(err instanceof ApiError, 'Should return ApiError');
+  assertEqual(err.message, '422: {"field":"name"}', 'Message format should stay backward compatible');
+  assertEqual(err.status, 422, 'Should expose status');
+  assertEqual(err.code, 'ERR_BAD_REQUEST', 'Should expose transport code');
+  assertEqual(err.method, 'POST', 'Should expose uppercased method');
+  assertEqual(err.url, '/api/items', 'Should expose url');
+  assertEqual(err.body.field, 'name', 'Should parse JSON body');
+  assertEqual(err.requestId, 'req-1', 'Should read request id header case-insensitively');
+  assertEqual(err.isNetworkError, false, 'Response means not a network error');
+  assert(formatAxiosError(err) === err, 'ApiError should pass through unchanged');
+
+  const timeout = formatAxiosError({ isAxiosError: true, code: 'ECONNABORTED', message: 'timeout of 10ms exceeded' });
+  assertEqual(timeout.status, null, 'No response means null status');
+  assert(timeout.message.startsWith('500: '), 'Legacy 500 prefix kept without response');
+  assertEqual(timeout.isTimeout, true, 'Should flag timeout');
+  assertEqual(timeout.isNetworkError, true, 'Should flag network error');
+
+  assert(isAxiosErrorWithStatus(err, 422), 'isAxiosErrorWithStatus should recognize ApiError');
+  assert(!isAxiosErrorWithStatus(err, 500), 'isAxiosErrorWithStatus should compare ApiError status');
+  assert(handle401Error(formatAxiosError({ isAxiosError: true, response: { status: 401 } }), 'returnNull'), 'handle401Error should accept ApiError');
+});
+
 runTest('apiRequest with different HTTP methods and data', async () => {
   // Test GET request
   const getResult = await apiRequest('/api/test', 'GET', { q: 2 }); // send query data for verification // changed
@@ -820,6 +886,492 @@ runTest('queryClient configuration and methods', () => {
 });
 
 
+runTest('createApiClient builds isolated clients with bound helpers', async () => {
+  const { createApiClient } = require('../index.js');
+  const originalCreate = mockAxios.create;
+  let capturedConfig;
+  mockAxios.create = (config) => { capturedConfig = config; return originalCreate(config); }; // capture config passed to axios
+  const billing = createApiClient({ baseURL: 'https://billing.test', headers: { 'X-Api-Key': 'k' }, timeout: 500, queryDefaults: { staleTime: 1000 } });
+  mockAxios.create = originalCreate; // restore factory so other tests see default behavior
+  assertEqual(capturedConfig.baseURL, 'https://billing.test', 'Should use provided baseURL');
+  assertEqual(capturedConfig.headers['Content-Type'], 'application/json', 'Should keep JSON content type');
+  assertEqual(capturedConfig.headers['X-Api-Key'], 'k', 'Should merge custom headers');
+  assertEqual(capturedConfig.timeout, 500, 'Should pass timeout');
+  assertEqual(capturedConfig.withCredentials, true, 'Should default withCredentials to true');
+  assert(billing.queryClient !== queryClient, 'Client should own a separate QueryClient');
+  assert(billing.axiosClient !== axiosClient, 'Client should own a separate axios instance');
+  assertEqual(billing.queryClient.getDefaultOptions().queries.staleTime, 1000, 'Should apply queryDefaults');
+  assertEqual(billing.queryClient.getDefaultOptions().queries.retry, false, 'Should keep library defaults');
+  const result = await billing.apiRequest('/api/invoices', 'GET');
+  assert(result.success === true, 'Bound apiRequest should use the client axios instance');
+  const queried = await billing.getQueryFn()({ queryKey: ['/api/invoices'] });
+  assertEqual(queried.url, 'http://localhost:3000/api/invoices', 'Bound getQueryFn should request through the client');
+});
+
+runTest('auth middleware injects tokens and refreshes once for concurrent 401s', async () => {
+  const { createApiClient, createAuthMiddleware } = require('../index.js');
+  const client = createApiClient();
+  const seenHeaders = [];
+  client.axiosClient.request = async (config) => { // accept only the refreshed token
+    seenHeaders.push(config.headers && config.headers.Authorization);
+    if (config.headers?.Authorization !== 'Bearer fresh') {
+      const error = new Error('Unauthorized');
+      error.isAxiosError = true;
+      error.response = { status: 401, data: 'Unauthorized' };
+      throw error;
+    }
+    return { status: 200, data: { url: config.url } };
+  };
+  let token = 'stale';
+  let refreshCount = 0;
+  client.addMiddleware(createAuthMiddleware({
+    getToken: () => token,
+    refreshToken: async () => { refreshCount++; await new Promise(r => setTimeout(r, 5)); token = 'fresh'; return token; }
+  }));
+  const [a, b] = await Promise.all([client.apiRequest('/api/a', 'GET'), client.apiRequest('/api/b', 'GET')]);
+  assertEqual(a.url, '/api/a', 'First request should be replayed');
+  assertEqual(b.url, '/api/b', 'Second request should be replayed');
+  assertEqual(refreshCount, 1, 'Concurrent 401s should share one refresh');
+  assertEqual(seenHeaders[0], 'Bearer stale', 'Initial request should carry current token');
+  const data = await client.getQueryFn()({ queryKey: ['/api/c'] });
+  assertEqual(data.url, '/api/c', 'getQueryFn should use the middleware chain');
+});
+
+runTest('auth middleware propagates 401 when refresh fails', async () => {
+  const { createApiClient, createAuthMiddleware } = require('../index.js');
+  const client = createApiClient();
+  client.axiosClient.request = async () => {
+    const error = new Error('Unauthorized');
+    error.isAxiosError = true;
+    error.response = { status: 401, data: 'Unauthorized' };
+    throw error;
+  };
+  let failure;
+  const remove = client.addMiddleware(createAuthMiddleware({
+    getToken: () => 'stale',
+    refreshToken: async () => { throw new Error('refresh expired'); },
+    onRefreshFailed: (err) => { failure = err; }
+  }));
+  try {
+    await client.apiRequest('/api/me', 'GET');
+    throw new Error('Should have thrown');
+  } catch (error) {
+    assert(error.message.includes('401'), 'Original 401 should propagate');
+  }
+  assertEqual(failure && failure.message, 'refresh expired', 'onRefreshFailed should receive refresh error');
+  assertEqual(await client.getQueryFn({ on401: 'returnNull' })({ queryKey: ['/api/me'] }), null, 'returnNull should still apply');
+  remove();
+});
+
+runTest('auth middleware reports a failed refresh once for concurrent 401s', async () => {
+  const { createApiClient, createAuthMiddleware } = require('../index.js');
+  const client = createApiClient();
+  client.axiosClient.request = async () => {
+    await new Promise(r => setTimeout(r, 5));
+    const error = new Error('Unauthorized');
+    error.isAxiosError = true;
+    error.response = { status: 401, data: 'Unauthorized' };
+    throw error;
+  };
+  let refreshes = 0;
+  let failures = 0;
+  client.addMiddleware(createAuthMiddleware({
+    getToken: () => 'stale',
+    refreshToken: async () => { refreshes++; await new Promise(r => setTimeout(r, 10)); throw new Error('refresh expired'); },
+    onRefreshFailed: () => { failures++; }
+  }));
+  const results = await Promise.allSettled(['/api/a', '/api/b', '/api/c'].map((url) => client.apiRequest(url, 'GET')));
+  assert(results.every((r) => r.status === 'rejected' && r.reason.message.includes('401')), 'Every request should see its 401');
+  assertEqual(refreshes, 1, 'Concurrent 401s should share one refresh');
+  assertEqual(failures, 1, 'onRefreshFailed should run once per failed refresh');
+});
+
+runTest('apiRequest retries transient failures with backoff and Retry-After', async () => {
+  const { createApiClient, computeBackoff, parseRetryAfter } = require('../index.js');
+  const client = createApiClient({ retry: { baseDelay: 1, jitter: false } });
+  let calls = 0;
+  client.axiosClient.request = async (config) => { // fail twice then succeed
+    calls++;
+    if (calls === 1) { const error = new Error('Network Error'); error.isAxiosError = true; throw error; }
+    if (calls === 2) {
+      const error = new Error('Too Many Requests');
+      error.isAxiosError = true;
+      error.response = { status: 429, data: 'slow down', headers: { 'Retry-After': '0' } };
+      throw error;
+    }
+    return { status: 200, data: { url: config.url } };
+  };
+  const result = await client.apiRequest('/api/items', 'GET');
+  assertEqual(result.url, '/api/items', 'Should resolve after retries');
+  assertEqual(calls, 3, 'Should attempt three times');
+  calls = 0;
+  try {
+    await client.apiRequest('/api/items', 'GET', null, { retry: false });
+    throw new Error('Should have thrown');
+  } catch (error) {
+    assertEqual(calls, 1, 'Per-call retry:false should disable retries');
+    assert(error.isNetworkError, 'Should surface normalized network error');
+  }
+  assertEqual(computeBackoff(3, { baseDelay: 100, maxDelay: 250, jitter: false }), 250, 'Backoff should be capped');
+  assertEqual(parseRetryAfter('2'), 2000, 'Retry-After seconds should convert to ms');
+  assertEqual(parseRetryAfter('soon'), null, 'Invalid Retry-After should be ignored');
+});
+
+runTest('apiRequest retries mutations only with an idempotency key', async () => {
+  const { createApiClient } = require('../index.js');
+  const client = createApiClient({ retry: { baseDelay: 1 } });
+  const keys = [];
+  client.axiosClient.request = async (config) => { // always unavailable
+    keys.push(config.headers && config.headers['Idempotency-Key']);
+    const error = new Error('Unavailable');
+    error.isAxiosError = true;
+    error.response = { status: 503, data: 'down' };
+    throw error;
+  };
+  try { await client.apiRequest('/api/orders', 'POST', { id: 1 }); } catch (error) { assertEqual(error.status, 503, 'Should surface final status'); }
+  assertEqual(keys.length, 1, 'POST should not retry by default');
+  keys.length = 0;
+  try { await client.apiRequest('/api/orders', 'POST', { id: 1 }, { retry: { idempotencyKey: true } }); } catch (error) { /* expected */ }
+  assertEqual(keys.length, 3, 'Opted-in POST should use all attempts');
+  assert(keys[0] && keys.every(k => k === keys[0]), 'Idempotency key should be generated once and reused');
+});
+
+runTest('apiRequest forwards signal, timeout, headers and params', async () => {
+  const { createApiClient } = require('../index.js');
+  const client = createApiClient();
+  const configs = [];
+  client.axiosClient.request = async (config) => { configs.push(config); return { status: 200, data: { ok: true } }; };
+  const controller = new AbortController();
+  await client.apiRequest('/api/search', 'GET', { q: 'x' }, { signal: controller.signal, timeout: 250, headers: { 'X-Trace': 't' }, params: { page: 2 } });
+  assertEqual(configs[0].signal, controller.signal, 'Should pass the AbortSignal to axios');
+  assertEqual(configs[0].timeout, 250, 'Should pass per-call timeout');
+  assertEqual(configs[0].headers['X-Trace'], 't', 'Should pass per-call headers');
+  assertEqual(JSON.stringify(configs[0].params), JSON.stringify({ page: 2, q: 'x' }), 'Should merge params with GET data');
+  await client.apiRequest('/api/items', 'POST', { a: 1 }, { params: { dryRun: true } });
+  assertEqual(configs[1].params.dryRun, true, 'Non-GET requests should accept params');
+  assertEqual(configs[1].data.a, 1, 'Non-GET data should stay in the body');
+  const querySignal = new AbortController().signal;
+  await client.getQueryFn()({ queryKey: ['/api/items'], signal: querySignal });
+  assertEqual(configs[2].signal, querySignal, 'getQueryFn should forward the React Query signal');
+});
+
+runTest('cancelled requests reject with distinguishable ApiError', async () => {
+  const { createApiClient } = require('../index.js');
+  const client = createApiClient({ retry: { baseDelay: 1000, jitter: false } });
+  client.axiosClient.request = async (config) => {
+    const error = new Error('canceled');
+    error.isAxiosError = true;
+    if (config.url === '/api/cancel') { error.code = 'ERR_CANCELED'; throw error; }
+    error.response = { status: 503, data: 'down' }; // transient failure starts a long backoff
+    throw error;
+  };
+  try {
+    await client.apiRequest('/api/cancel', 'GET');
+    throw new Error('Should have thrown');
+  } catch (error) {
+    assert(error.isCanceled, 'Should flag cancellation');
+    assert(error.message.startsWith('Request canceled'), 'Should not look like a server error');
+    assertEqual(error.status, null, 'Cancelled request has no status');
+  }
+  const controller = new AbortController();
+  const started = Date.now();
+  setTimeout(() => controller.abort(), 10);
+  try {
+    await client.apiRequest('/api/slow', 'GET', null, { signal: controller.signal });
+    throw new Error('Should have thrown');
+  } catch (error) {
+    assert(error.isCanceled, 'Abort during backoff should surface as cancellation');
+    assert(Date.now() - started < 500, 'Abort should cut the backoff short');
+  }
+});
+
+runTest('apiRequest dedupes identical in-flight GETs', async () => {
+  const { createApiClient } = require('../index.js');
+  const client = createApiClient();
+  let calls = 0;
+  client.axiosClient.request = async (config) => { calls++; await new Promise(r => setTimeout(r, 5)); return { status: 200, data: { url: config.url } }; };
+  const [a, b] = await Promise.all([client.apiRequest('/api/me', 'GET', { x: 1, y: 2 }), client.apiRequest('/api/me', 'GET', { y: 2, x: 1 })]);
+  assertEqual(calls, 1, 'Concurrent identical GETs should share one request');
+  assertEqual(a, b, 'Both callers should receive the same data');
+  await Promise.all([client.apiRequest('/api/me', 'GET'), client.apiRequest('/api/me', 'GET', null, { signal: new AbortController().signal })]);
+  assertEqual(calls, 3, 'Requests with their own signal should not be shared');
+  await client.apiRequest('/api/me', 'GET');
+  assertEqual(calls, 4, 'Finished requests should not be reused without a cache');
+});
+
+runTest('apiRequest response cache honours TTL, ETag revalidation and write invalidation', async () => {
+  const { createApiClient } = require('../index.js');
+  const client = createApiClient({ cache: { ttl: 20 } });
+  const sent = [];
+  client.axiosClient.request = async (config) => {
+    sent.push(config);
+    if (config.method === 'POST') { return { status: 201, data: {} }; }
+    if (config.headers && config.headers['If-None-Match'] === '"v1"') {
+      assert(config.validateStatus(304), '304 should be accepted for conditional requests');
+      return { status: 304, data: '', headers: {} };
+    }
+    return { status: 200, data: { items: [1] }, headers: { etag: '"v1"' } };
+  };
+  const first = await client.apiRequest('/api/items', 'GET');
+  const second = await client.apiRequest('/api/items', 'GET');
+  assertEqual(sent.length, 1, 'Fresh entries should skip the network');
+  assertEqual(second.items[0], 1, 'Cached data should be returned');
+  await new Promise(r => setTimeout(r, 30));
+  const revalidated = await client.apiRequest('/api/items', 'GET');
+  assertEqual(sent.length, 2, 'Stale entries should revalidate');
+  assertEqual(sent[1].headers['If-None-Match'], '"v1"', 'Revalidation should send the ETag');
+  assertEqual(JSON.stringify(revalidated), JSON.stringify(first), '304 should reuse the cached body');
+  await client.apiRequest('/api/items', 'GET', null, { cache: false });
+  assertEqual(sent.length, 3, 'Per-call cache:false should bypass the cache');
+  await client.apiRequest('/api/items/1', 'POST', {});
+  assertEqual(client.requestCache.size, 0, 'Writes should invalidate related cached GETs');
+});
+
+runTest('apiRequest response cache separates tokens and drops expired entries', async () => {
+  const { createApiClient, createAuthMiddleware } = require('../index.js');
+  const client = createApiClient({ cache: { ttl: 20 } });
+  let token = 'alice';
+  client.addMiddleware(createAuthMiddleware({ getToken: () => token }));
+  client.axiosClient.request = async (config) => ({ status: 200, data: { user: config.headers.Authorization }, headers: {} });
+  const first = await client.apiRequest('/api/me', 'GET');
+  token = 'bob';
+  const second = await client.apiRequest('/api/me', 'GET');
+  assertEqual(first.user, 'Bearer alice', 'First user should get their own response');
+  assertEqual(second.user, 'Bearer bob', 'A new token must not be served the previous user\'s cached response');
+  assertEqual(client.requestCache.size, 2, 'Each token should have its own entry');
+  await new Promise(r => setTimeout(r, 30));
+  await client.apiRequest('/api/other', 'GET');
+  assertEqual(client.requestCache.size, 1, 'Expired entries without an ETag should be swept');
+});
+
+runTest('apiRequest cached GETs run request middleware once and evict least recently used entries', async () => {
+  const { createApiClient } = require('../index.js');
+  const client = createApiClient({ cache: { ttl: 1000, maxEntries: 2 } });
+  let onRequestCalls = 0;
+  client.addMiddleware({ onRequest: (config) => { onRequestCalls++; return config; } });
+  let sent = 0;
+  client.axiosClient.request = async (config) => { sent++; return { status: 200, data: { url: config.url }, headers: { etag: `"${config.url}"` } }; };
+  await client.apiRequest('/api/search', 'GET', { q: 'a' });
+  assertEqual(onRequestCalls, 1, 'Key building and sending should share one middleware run');
+  await client.apiRequest('/api/search', 'GET', { q: 'b' });
+  await client.apiRequest('/api/search', 'GET', { q: 'a' }); // hit keeps q=a recent
+  await client.apiRequest('/api/search', 'GET', { q: 'c' });
+  assertEqual(client.requestCache.size, 2, 'ETag entries should be bounded by maxEntries');
+  await client.apiRequest('/api/search', 'GET', { q: 'a' });
+  assertEqual(sent, 3, 'Recently read entries should survive eviction');
+  await client.apiRequest('/api/search', 'GET', { q: 'b' });
+  assertEqual(sent, 4, 'The least recently used entry should have been evicted');
+});
+
+runTest('offline queue stores failed writes and replays them in order with conflicts', async () => {
+  const { createApiClient, createMemoryStorage, useOfflineQueue } = require('../index.js');
+  const storage = createMemoryStorage();
+  const client = createApiClient({ offlineQueue: { storage, autoReplay: false } });
+  let online = false;
+  const sent = [];
+  client.axiosClient.request = async (config) => {
+    if (!online) { const e = new Error('Network Error'); e.isAxiosError = true; throw e; } // no response
+    sent.push(`${config.method} ${config.url}`);
+    if (config.url === '/api/b') { const e = new Error('Conflict'); e.isAxiosError = true; e.response = { status: 409, data: { reason: 'stale' } }; throw e; }
+    return { status: 200, data: { ok: true } };
+  };
+  const queued = await client.apiRequest('/api/a', 'POST', { n: 1 });
+  assert(queued.queued && queued.id, 'Network failures should resolve with a queued marker');
+  await client.apiRequest('/api/b', 'PUT', { n: 2 });
+  await client.apiRequest('/api/c', 'DELETE');
+  try {
+    await client.apiRequest('/api/d', 'POST', {}, { queue: false });
+    throw new Error('Should have thrown');
+  } catch (error) {
+    assert(error.isNetworkError, 'queue:false should surface the network error');
+  }
+  const saved = await storage.getItem('qreactutils:offline-queue:http://localhost:3000');
+  assertEqual(saved.entries.length, 3, 'Queued writes should be persisted');
+  const { result } = renderHook(() => useOfflineQueue({ client }));
+  assertEqual(result.current.pending, 3, 'Hook should expose the pending count');
+  online = true;
+  let summary;
+  await TestRenderer.act(async () => { summary = await result.current.replay(); });
+  assertEqual(JSON.stringify(sent), JSON.stringify(['POST /api/a', 'PUT /api/b', 'DELETE /api/c']), 'Replay should keep the original order');
+  assertEqual(summary.replayed, 2, 'Successful replays should be counted');
+  assertEqual(result.current.pending, 0, 'Replayed entries should leave the queue');
+  assertEqual(result.current.conflicts.length, 1, 'Rejected writes should become conflicts');
+  assertEqual(result.current.conflicts[0].error.status, 409, 'Conflicts should keep the server status');
+  assertEqual(result.current.conflicts[0].error.body.reason, 'stale', 'Conflicts should keep the server response body');
+  await TestRenderer.act(async () => { await result.current.resolveConflict(result.current.conflicts[0].id, 'discard'); });
+  assertEqual(result.current.conflicts.length, 0, 'Discarded conflicts should be removed');
+  client.offlineQueue.dispose();
+});
+
+runTest('offline queue only stores JSON bodies and never queues upload requests', async () => {
+  const { createApiClient, createMemoryStorage, uploadFile } = require('../index.js');
+  const client = createApiClient({ offlineQueue: { storage: createMemoryStorage(), autoReplay: false } });
+  client.axiosClient.request = async (config) => {
+    if (config.url.endsWith('/init')) { return { status: 200, data: { uploadId: 'u1' } }; } // session starts, chunks then fail
+    const e = new Error('Network Error'); e.isAxiosError = true; throw e;
+  };
+  for (const body of [new Blob(['abc']), new Uint8Array([1, 2]), new ArrayBuffer(2)]) {
+    const error = await client.apiRequest('/api/raw', 'PUT', body).catch((err) => err);
+    assert(error.isNetworkError, `${Object.prototype.toString.call(body)} bodies should not be queued`);
+  }
+  const upload = await uploadFile('/api/uploads', new Blob(['0123456789']), { client, chunkSize: 4 }).catch((err) => err);
+  assert(upload.isNetworkError, 'Chunk uploads should fail instead of counting a queued chunk as stored');
+  assertEqual(client.offlineQueue.getState().entries.length, 0, 'Nothing should be queued');
+  client.offlineQueue.dispose();
+});
+
+runTest('offline queue rejects timed out writes instead of queueing them', async () => {
+  const { createApiClient, createMemoryStorage } = require('../index.js');
+  const client = createApiClient({ offlineQueue: { storage: createMemoryStorage(), autoReplay: false } });
+  client.axiosClient.request = async () => {
+    const e = new Error('timeout of 10ms exceeded'); e.isAxiosError = true; e.code = 'ECONNABORTED'; throw e; // no response, like a dropped connection
+  };
+  const error = await client.apiRequest('/api/orders', 'POST', { item: 1 }, { retry: false }).catch((err) => err);
+  assert(error.isTimeout, 'Timed out writes should reject with the timeout error');
+  assertEqual(client.offlineQueue.getState().entries.length, 0, 'A write that may have reached the server must not be replayed');
+  client.offlineQueue.dispose();
+});
+
+runTest('offline queue restores persisted entries and stops replay on network errors', async () => {
+  const { createOfflineQueue, createMemoryStorage } = require('../index.js');
+  const storage = createMemoryStorage();
+  await storage.setItem('queue', { entries: [{ id: 'old', url: '/api/x', method: 'POST', data: {} }], conflicts: [] });
+  let attempts = 0;
+  const queue = createOfflineQueue({ storage, storageKey: 'queue', autoReplay: false, send: async () => { attempts++; throw Object.assign(new Error('offline'), { isNetworkError: true }); } });
+  await queue.enqueue({ url: '/api/y', method: 'POST', data: {} });
+  assertEqual(queue.getState().entries[0].id, 'old', 'Restored entries should stay ahead of new ones');
+  const summary = await queue.replay();
+  assertEqual(attempts, 1, 'A network failure should stop the replay run');
+  assertEqual(summary.remaining, 2, 'Entries should be kept for the next run');
+  queue.dispose();
+});
+
+runTest('persistQueryClient saves allowed queries and restores them with buster and maxAge', async () => {
+  const { QueryClient } = require('@tanstack/react-query');
+  const { persistQueryClient, createMemoryStorage } = require('../index.js');
+  const storage = createMemoryStorage();
+  const source = new QueryClient();
+  const persister = persistQueryClient({ queryClient: source, storage, buster: 'v1', prefixes: ['/api/todos', ['user', 'me']], throttle: 5 });
+  assertEqual(await persister.restored, false, 'Empty storage should restore nothing');
+  source.setQueryData(['/api/todos', { page: 1 }], [{ id: 1 }]);
+  source.setQueryData(['user', 'me'], { name: 'Ann' });
+  source.setQueryData(['/api/secrets'], { token: 'x' });
+  await new Promise(r => setTimeout(r, 20));
+  persister.unsubscribe();
+  const saved = await storage.getItem('qreactutils:query-cache');
+  assertEqual(saved.buster, 'v1', 'Snapshot should carry the buster');
+  assertEqual(saved.clientState.queries.length, 2, 'Only allow-listed prefixes should be saved');
+
+  const target = new QueryClient();
+  const restoredPersister = persistQueryClient({ queryClient: target, storage, buster: 'v1' });
+  assertEqual(await restoredPersister.restored, true, 'Matching snapshot should be restored');
+  restoredPersister.unsubscribe();
+  assertEqual(target.getQueryData(['/api/todos', { page: 1 }])[0].id, 1, 'Restored data should be readable');
+  assertEqual(target.getQueryData(['/api/secrets']), undefined, 'Excluded queries should stay out');
+
+  const busted = persistQueryClient({ queryClient: new QueryClient(), storage, buster: 'v2' });
+  assertEqual(await busted.restored, false, 'A different buster should discard the snapshot');
+  busted.unsubscribe();
+  assertEqual(await storage.getItem('qreactutils:query-cache'), null, 'Discarded snapshots should be removed');
+});
+
+runTest('dehydrateCache output hydrates another client for SSR', () => {
+  const { QueryClient } = require('@tanstack/react-query');
+  const { dehydrateCache, hydrateCache } = require('../index.js');
+  const server = new QueryClient();
+  server.setQueryData(['/api/page'], { title: 'Home' });
+  const snapshot = JSON.parse(JSON.stringify(dehydrateCache(server)));
+  const browser = new QueryClient();
+  assertEqual(hydrateCache(browser, { ...snapshot, timestamp: Date.now() - 1000 }, { maxAge: 500 }), false, 'Old snapshots should be ignored');
+  assertEqual(hydrateCache(browser, snapshot), true, 'Serialized snapshot should hydrate');
+  assertEqual(browser.getQueryData(['/api/page']).title, 'Home', 'Hydrated data should match the server');
+});
+
+runTest('apiRequest schema option validates with functions and safeParse/parse objects', async () => {
+  const { createApiClient, ValidationError, isValidationError, isApiError } = require('../index.js');
+  const client = createApiClient();
+  client.axiosClient.request = async (config) => ({ status: 200, data: { items: [{ id: 1 }, { id: 'two' }] } });
+  const ok = await client.apiRequest('/api/items', 'GET', null, { schema: (data) => Array.isArray(data.items) });
+  assertEqual(ok.items.length, 2, 'Passing validators should return the data');
+  const safeParse = (data) => {
+    const index = data.items.findIndex((item) => typeof item.id !== 'number');
+    return index === -1 ? { success: true, data } : { success: false, error: { issues: [{ path: ['items', index, 'id'], expected: 'number', received: 'string', message: 'Expected number, received string' }] } };
+  };
+  try {
+    await client.apiRequest('/api/items', 'GET', null, { schema: { safeParse } });
+    throw new Error('Should have thrown');
+  } catch (error) {
+    assert(error instanceof ValidationError && isValidationError(error) && isApiError(error), 'Should throw a ValidationError that is also an ApiError');
+    assertEqual(error.path, 'items[1].id', 'Path should be formatted');
+    assertEqual(error.expected, 'number', 'Expected type should be reported');
+    assertEqual(error.actual, 'two', 'Actual value should be read from the data');
+    assertEqual(error.status, 200, 'Status of the response should be kept');
+    assert(error.message.includes('GET /api/items at items[1].id'), 'Message should name the request and path');
+  }
+  const parsed = await client.apiRequest('/api/items', 'GET', null, { schema: { parse: (data) => data.items.length } });
+  assertEqual(parsed, 2, 'parse() results should replace the data');
+  try {
+    await client.apiRequest('/api/items', 'GET', null, { schema: () => ({ path: 'items', expected: 'empty array' }) });
+    throw new Error('Should have thrown');
+  } catch (error) {
+    assertEqual(error.expected, 'empty array', 'Issue objects from validators should be used');
+    assertEqual(error.actual.length, 2, 'String paths should resolve the actual value');
+  }
+});
+
+runTest('getQueryFn validates responses with option or query meta schema', async () => {
+  const { createApiClient, isValidationError } = require('../index.js');
+  const client = createApiClient();
+  client.axiosClient.request = async () => ({ status: 200, data: { name: 5 } });
+  const queryFn = client.getQueryFn({ schema: (data) => typeof data.name === 'number' });
+  assertEqual((await queryFn({ queryKey: ['/api/me'] })).name, 5, 'Option schema should pass valid data');
+  try {
+    await queryFn({ queryKey: ['/api/me'], meta: { schema: { parse: () => { throw new Error('name must be a string'); } } } });
+    throw new Error('Should have thrown');
+  } catch (error) {
+    assert(isValidationError(error), 'meta.schema should override and fail');
+    assert(error.message.includes('name must be a string'), 'Thrown validator messages should be kept');
+  }
+});
+
+runTest('getQueryFn maps object key segments to templates and stable query strings', async () => {
+  const { createApiClient, queryKeyToUrl, stableQueryString } = require('../index.js');
+  assertEqual(queryKeyToUrl(['api', 'users', '123']), 'api/users/123', 'Plain keys should keep join behavior');
+  assertEqual(queryKeyToUrl(['/api/items', { q: 'x', page: 2 }]), '/api/items?page=2&q=x', 'Params should be sorted into a query string');
+  assertEqual(queryKeyToUrl(['/api/items', { page: 2, q: 'x' }]), queryKeyToUrl(['/api/items', { q: 'x', page: 2 }]), 'Key order should not change the URL');
+  assertEqual(queryKeyToUrl(['/api/users/:id', { id: 'a b', tab: 'info' }]), '/api/users/a%20b?tab=info', 'Templates should consume params');
+  assertEqual(stableQueryString({ tag: ['a', 'b'], skip: undefined }), 'tag=a&tag=b', 'Arrays repeat and undefined is skipped');
+  const client = createApiClient();
+  const urls = [];
+  client.axiosClient.request = async (config) => { urls.push(config.url); return { status: 200, data: [] }; };
+  await client.getQueryFn()({ queryKey: ['/api/items', { status: 'open' }] });
+  const remove = client.registerUrlBuilder('search', ([, params]) => `/v2/search?term=${params.q}`);
+  await client.getQueryFn()({ queryKey: ['search', { q: 'dogs' }] });
+  remove();
+  await client.getQueryFn({ buildUrl: () => '/custom' })({ queryKey: ['anything'] });
+  assertEqual(JSON.stringify(urls), JSON.stringify(['/api/items?status=open', '/v2/search?term=dogs', '/custom']), 'Should use default mapping, registered builder and buildUrl');
+  try {
+    await client.getQueryFn()({ queryKey: ['/api/users/:id', {}] });
+    throw new Error('Should have thrown');
+  } catch (error) {
+    assert(error.message.includes('Missing value for ":id"'), 'Missing template values should fail before requesting');
+  }
+});
+
+runTest('findUrlBuilder ignores Object.prototype members as key roots', async () => {
+  const { findUrlBuilder } = require('../lib/queryKey.js');
+  const builder = () => '/built';
+  assertEqual(findUrlBuilder({}, ['toString']), undefined, 'toString must not resolve to Object.prototype.toString');
+  assertEqual(findUrlBuilder({ search: builder }, ['constructor', { q: 1 }]), undefined, 'constructor must not resolve to Object');
+  assertEqual(findUrlBuilder({ search: builder }, ['search']), builder, 'Registered builders should still match');
+  const { createApiClient } = require('../index.js');
+  const client = createApiClient();
+  const urls = [];
+  client.axiosClient.request = async (config) => { urls.push(config.url); return { status: 200, data: [] }; };
+  await client.getQueryFn()({ queryKey: ['toString', 'x'] });
+  assertEqual(urls[0], 'toString/x', 'Prototype names should fall back to the default mapping');
+});
+
 runTest('handle401Error logic across behaviors', () => {
   const err401 = { isAxiosError: true, response: { status: 401 } };
   const handled = handle401Error(err401, 'returnNull');
@@ -850,6 +1402,63 @@ runTest('codexRequest returns default when offline without mock', async () => {
   process.env.OFFLINE_MODE = 'false';
 });
 
+runTest('offline mode resolves requests through mock server routes', async () => {
+  const { createApiClient, createMockServer } = require('../index.js');
+  const server = createMockServer();
+  server.state.items = { 1: { _id: '1', name: 'first' } };
+  server.register('GET', '/api/items/:id', ({ params, state }) => state.items[params.id]);
+  server.register('POST', '/api/items', ({ body, state, reply }) => { state.items[body._id] = body; return reply(201, body); });
+  server.register('GET', '/api/search', ({ query }) => ({ q: query.q, page: query.page }));
+  server.register('DELETE', '/api/items/:id', ({ reply }) => reply(403, { code: 'FORBIDDEN' }), { delay: 5 });
+  const client = createApiClient({ mockServer: server });
+  process.env.OFFLINE_MODE = 'true';
+  try {
+    const first = await client.apiRequest('/api/items/1', 'GET');
+    assertEqual(first.name, 'first', 'Should read seeded state via params');
+    const created = await client.apiRequest('/api/items', 'POST', { _id: '2', name: 'second' });
+    assertEqual(created.name, 'second', 'Should return handler body');
+    const stored = await client.getQueryFn()({ queryKey: ['/api/items', '2'] });
+    assertEqual(stored.name, 'second', 'getQueryFn should see in-memory state');
+    const search = await client.apiRequest('/api/search?q=x', 'GET', { page: 2 });
+    assertEqual(search.q, 'x', 'Should parse query string');
+    assertEqual(search.page, 2, 'Should merge params');
+    const start = Date.now();
+    try {
+      await client.apiRequest('/api/items/1', 'DELETE');
+      throw new Error('Should have thrown');
+    } catch (error) {
+      assertEqual(error.status, 403, 'Mocked error status should surface as ApiError');
+      assertEqual(error.body.code, 'FORBIDDEN', 'Mocked error body should be exposed');
+    }
+    assert(Date.now() - start >= 4, 'Route delay should be applied');
+    const fallback = await client.apiRequest('/api/unknown', 'GET');
+    assertEqual(fallback.message, 'Mocked in Codex', 'Unmatched routes keep legacy fallback');
+  } finally {
+    process.env.OFFLINE_MODE = 'false';
+  }
+});
+
+runTest('mock server loads JSON fixture files', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { createMockServer } = require('../index.js');
+  const file = path.join(os.tmpdir(), `qreactutils-fixtures-${Date.now()}.json`);
+  fs.writeFileSync(file, JSON.stringify({ routes: [{ method: 'GET', path: '/api/me', body: { name: 'demo' } }, { path: '/api/admin', status: 401 }] }));
+  const server = createMockServer();
+  try {
+    assertEqual(server.loadFixtures(file), 2, 'Should register every fixture');
+    const me = await server.handle({ url: '/api/me' });
+    assertEqual(me.data.name, 'demo', 'Should return fixture body');
+    let rejected;
+    try { await server.handle({ url: '/api/admin' }); } catch (error) { rejected = error; }
+    assert(handle401Error(rejected, 'returnNull'), 'Fixture 401 should look like an axios 401');
+    assertEqual(await server.handle({ url: '/api/none' }), undefined, 'Unmatched route should return undefined');
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
+
 runTest('executeAxiosRequest integrates codexRequest and errors', async () => {
   process.env.OFFLINE_MODE = 'true';
   const resOffline = await executeAxiosRequest(() => ({ data: 5 }), 'throw', { data: { value: 5 } });
@@ -1103,6 +1712,149 @@ runTest('useToastAction skips refresh when not a function', async () => {
   assertEqual(toastResult.current.toasts.length, 1, 'Success toast should still appear');
 });
 
+runTest('useAsyncAction optimistic option patches cache and rolls back on error', async () => {
+  queryClient.setQueryData(['/api/todos'], [{ _id: '1', done: false }]);
+  const optimistic = { queryKey: ['/api/todos'], update: (old = [], vars) => old.map(t => (t._id === vars._id ? { ...t, ...vars } : t)) };
+  let seenDuringCall;
+  let seenInOnError;
+  const { result } = renderHook(() => useAsyncAction(async () => {
+    seenDuringCall = queryClient.getQueryData(['/api/todos'])[0].done; // cache already patched while request runs
+    throw new Error('save failed');
+  }, { optimistic, onError: () => { seenInOnError = queryClient.getQueryData(['/api/todos'])[0].done; } }));
+  await TestRenderer.act(async () => { try { await result.current[0]({ _id: '1', done: true }); } catch (e) { /* expected */ } });
+  assertEqual(seenDuringCall, true, 'Cache should be patched before the call');
+  assertEqual(seenInOnError, false, 'Rollback should happen before onError');
+  assertEqual(queryClient.getQueryData(['/api/todos'])[0].done, false, 'Cache should be restored');
+  const { result: ok } = renderHook(() => useAsyncAction(async (vars) => vars, { optimistic }));
+  await TestRenderer.act(async () => { await ok.current[0]({ _id: '1', done: true }); });
+  assertEqual(queryClient.getQueryData(['/api/todos'])[0].done, true, 'Patch should stay after success');
+  queryClient.removeQueries({ queryKey: ['/api/todos'] });
+});
+
+runTest('optimistic rollback removes entries that were empty before the patch', async () => {
+  const { applyOptimisticUpdate, rollbackOptimisticUpdate } = require('../lib/optimistic');
+  const key = ['/api/empty-before'];
+  queryClient.removeQueries({ queryKey: key });
+  const context = await applyOptimisticUpdate(queryClient, { queryKey: key, update: (old = []) => [...old, 1] }, {});
+  assertEqual(JSON.stringify(queryClient.getQueryData(key)), '[1]', 'Patch should create the entry');
+  rollbackOptimisticUpdate(context);
+  assertEqual(queryClient.getQueryData(key), undefined, 'Rollback should remove the optimistic entry');
+});
+
+runTest('useToastAction rolls back optimistic patch and shows error toast', async () => {
+  const { toastGetState, clearAllAdvancedToasts } = require('../index.js');
+  clearAllAdvancedToasts();
+  queryClient.setQueryData(['/api/items', 'x'], { name: 'old' });
+  const { result } = renderHook(() => useToastAction(async () => { throw new Error('nope'); }, 'Saved', null, {
+    optimistic: { queryKey: (vars) => ['/api/items', vars.id], update: (old, vars) => ({ ...old, name: vars.name }) }
+  }));
+  await TestRenderer.act(async () => { try { await result.current[0]({ id: 'x', name: 'new' }); } catch (e) { /* expected */ } });
+  assertEqual(queryClient.getQueryData(['/api/items', 'x']).name, 'old', 'Cache should roll back');
+  const toasts = toastGetState().toasts;
+  assert(toasts.length === 1 && toasts[0].description === 'nope', 'Error toast should be shown');
+  queryClient.removeQueries({ queryKey: ['/api/items', 'x'] });
+  clearAllAdvancedToasts();
+});
+
+runTest('useToastAction uses the latest inline optimistic config', async () => {
+  const { clearAllAdvancedToasts } = require('../index.js');
+  clearAllAdvancedToasts();
+  queryClient.setQueryData(['/api/labels'], 'none');
+  let seen;
+  const { result, rerender } = renderHook(({ suffix }) => useToastAction(async () => { seen = queryClient.getQueryData(['/api/labels']); }, 'Saved', null, {
+    optimistic: { queryKey: ['/api/labels'], update: (old, vars) => `${vars}-${suffix}` } // new object every render
+  }), { suffix: 'a' });
+  rerender({ suffix: 'b' });
+  await TestRenderer.act(async () => { await result.current[0]('label'); });
+  assertEqual(seen, 'label-b', 'The patch should come from the config of the latest render');
+  queryClient.removeQueries({ queryKey: ['/api/labels'] });
+  clearAllAdvancedToasts();
+});
+
+runTest('advancedToast queues toasts over the limit and promotes errors first', () => {
+  const { toast, toastGetState, configureToasts, getQueuedToastCount, clearAllAdvancedToasts, clearToastTimeout, toastReducer } = require('../index.js');
+  clearAllAdvancedToasts();
+  configureToasts({ limit: 2 });
+  const first = toast({ title: 'one' });
+  toast({ title: 'two' });
+  const info = toast({ title: 'three' });
+  toast({ title: 'oops', variant: 'destructive' });
+  assertEqual(toastGetState().toasts.length, 2, 'Only the limit should be open');
+  assertEqual(getQueuedToastCount(), 2, 'Overflow should wait instead of being dropped');
+  assertEqual(toastGetState().queue[0].title, 'oops', 'Errors should jump ahead of info toasts');
+  info.update({ description: 'still queued' });
+  assertEqual(toastGetState().queue[1].description, 'still queued', 'Queued toasts should accept updates');
+  first.dismiss();
+  clearToastTimeout(first.id);
+  const open = toastGetState().toasts.filter((t) => t.open);
+  assertEqual(open.map((t) => t.title).join(','), 'oops,two', 'Dismissing should promote the highest priority toast');
+  configureToasts({ limit: 5 });
+  assertEqual(getQueuedToastCount(), 0, 'Raising the limit should show queued toasts');
+  const legacy = toastReducer({ toasts: [] }, { type: 'ADD_TOAST', toast: { id: 'x', open: true } });
+  assertEqual(legacy.toasts[0].id, 'x', 'Reducer should accept states without a queue');
+  clearAllAdvancedToasts();
+});
+
+runTest('advancedToast auto-dismisses by duration with pause, resume and sticky toasts', async () => {
+  const { toast, toastGetState, configureToasts, clearAllAdvancedToasts, getAdvancedToastTimeoutCount } = require('../index.js');
+  clearAllAdvancedToasts();
+  configureToasts({ durations: { default: 30, destructive: 80 } });
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+  const isOpen = (handle) => toastGetState().toasts.some((t) => t.id === handle.id && t.open);
+  const info = toast({ title: 'info' });
+  const error = toast({ title: 'error', variant: 'destructive' });
+  const sticky = toast({ title: 'sticky', duration: Infinity });
+  const hovered = toast({ title: 'hovered', duration: 40 });
+  hovered.pause();
+  await sleep(50);
+  assert(!isOpen(info), 'Default duration should dismiss info toasts');
+  assert(isOpen(error), 'Error variant should stay longer');
+  assert(isOpen(hovered), 'Paused toasts should stay open');
+  hovered.resume();
+  await sleep(60);
+  assert(!isOpen(hovered), 'Resumed toasts should dismiss with the remaining time');
+  assert(!isOpen(error), 'Error toasts should dismiss after their variant duration');
+  assert(isOpen(sticky), 'Infinity duration should keep the toast open');
+  sticky.update({ duration: 10 });
+  await sleep(30);
+  assert(!isOpen(sticky), 'Updating the duration should restart the timer');
+  configureToasts({ durations: { default: 5000, destructive: 10000 } });
+  clearAllAdvancedToasts();
+  assertEqual(getAdvancedToastTimeoutCount(), 0, 'Clearing toasts should cancel their timers');
+});
+
+runTest('toast.promise moves one toast from loading to success or error', async () => {
+  const { toast, toastGetState, clearAllAdvancedToasts, executeWithToastFeedback, useToastAction } = require('../index.js');
+  clearAllAdvancedToasts();
+  let resolveSave;
+  const saving = toast.promise(new Promise((r) => { resolveSave = r; }), { loading: 'Saving...', success: (data) => ({ title: 'Saved', description: data.name }) });
+  let [current] = toastGetState().toasts;
+  assert(current.loading && current.description === 'Saving...', 'Loading toast should show first');
+  assertEqual(current.duration, Infinity, 'Loading toast should be sticky');
+  resolveSave({ name: 'Draft 1' });
+  assertEqual((await saving).name, 'Draft 1', 'Should resolve with the original data');
+  [current] = toastGetState().toasts;
+  assertEqual(toastGetState().toasts.length, 1, 'Success should update the same toast');
+  assert(!current.loading && current.variant === 'success' && current.description === 'Draft 1', 'Toast should show the success content');
+  const failed = await toast.promise(() => Promise.reject(new Error('disk full')), { loading: 'Saving...' }).catch((err) => err);
+  assertEqual(failed.message, 'disk full', 'Should reject with the original error');
+  const errorToast = toastGetState().toasts.find((t) => t.description === 'disk full');
+  assertEqual(errorToast.variant, 'destructive', 'Errors should default to the message with the destructive variant');
+  clearAllAdvancedToasts();
+
+  const result = await executeWithToastFeedback(async () => 42, toast, 'Imported', 'Import failed', { loading: 'Importing...' });
+  assertEqual(result, 42, 'executeWithToastFeedback should return the result');
+  assertEqual(toastGetState().toasts.length, 1, 'executeWithToastFeedback should reuse the loading toast');
+  assertEqual(toastGetState().toasts[0].description, 'Imported', 'Loading toast should turn into the success toast');
+  clearAllAdvancedToasts();
+
+  const { result: action } = renderHook(() => useToastAction(async () => { throw new Error('nope'); }, 'Saved', null, { loading: 'Working...' }));
+  await TestRenderer.act(async () => { try { await action.current[0](); } catch (e) { /* expected */ } });
+  const toasts = toastGetState().toasts;
+  assert(toasts.length === 1 && toasts[0].description === 'nope' && !toasts[0].loading, 'useToastAction should turn the loading toast into the error');
+  clearAllAdvancedToasts();
+});
+
 runTest('API functions integrate with utility functions', async () => {
   // Test that apiRequest can be used with showToast
   const toastCalls = [];
@@ -1329,6 +2081,691 @@ runTest('useEditForm startEdit handles invalid item', () => {
   assertEqual(result.current.fields.title, 't', 'Fields should remain unchanged when _id missing');
 });
 
+runTest('useEditForm supports custom idKey', () => {
+  const { result } = renderHook(() => useEditForm({ title: '' }, { idKey: 'id' }));
+  TestRenderer.act(() => { result.current.startEdit({ id: 7, title: 'x' }); });
+  assertEqual(result.current.editingId, 7, 'Should read id from custom key');
+});
+
+runTest('createResource wires list, item and mutation hooks with cache updates', async () => {
+  const { createApiClient, createResource } = require('../index.js');
+  const client = createApiClient();
+  const requests = [];
+  let items = [{ _id: 'a', name: 'A' }];
+  client.axiosClient.request = async (config) => { // tiny in-memory REST backend
+    requests.push(`${config.method} ${config.url}`);
+    if (config.method === 'GET' && config.url.startsWith('/api/projects?')) { return { status: 200, data: items }; }
+    if (config.method === 'GET') { return { status: 200, data: items.find(i => `/api/projects/${i._id}` === config.url) }; }
+    if (config.method === 'POST') { const created = { _id: 'b', ...config.data }; items = [...items, created]; return { status: 201, data: created }; }
+    if (config.method === 'PUT') { return { status: 200, data: { _id: 'a', ...config.data } }; }
+    return { status: 204, data: null };
+  };
+  const projects = createResource('/api/projects', { client });
+  const settle = () => TestRenderer.act(async () => { await new Promise(r => setTimeout(r, 20)); });
+  const { result } = renderHook(() => ({
+    list: projects.useList({ archived: false }),
+    one: projects.useOne(null),
+    create: projects.useCreate(),
+    update: projects.useUpdate(),
+    remove: projects.useRemove()
+  }));
+  await settle();
+  assertEqual(result.current.list.data.length, 1, 'useList should load the collection');
+  assertEqual(result.current.one.fetchStatus, 'idle', 'useOne should wait for an id');
+  await TestRenderer.act(async () => { await result.current.create.mutateAsync({ name: 'B' }); });
+  await settle();
+  assertEqual(client.queryClient.getQueryData(projects.keys.one('b')).name, 'B', 'Created item should be cached');
+  assertEqual(result.current.list.data.length, 2, 'List should refetch after create');
+  await TestRenderer.act(async () => { await result.current.update.mutateAsync({ _id: 'a', name: 'A2' }); });
+  assertEqual(client.queryClient.getQueryData(['/api/projects', 'a']).name, 'A2', 'Updated item should be cached');
+  await TestRenderer.act(async () => { await result.current.remove.mutateAsync({ _id: 'a' }); });
+  assertEqual(client.queryClient.getQueryData(['/api/projects', 'a']), undefined, 'Removed item should leave the cache');
+  assert(requests.includes('PUT /api/projects/a'), 'Update should target the item URL');
+  assert(requests.includes('DELETE /api/projects/a'), 'Remove should target the item URL');
+  assertEqual(requests[0], 'GET /api/projects?archived=false', 'List params should become a query string');
+});
+
+runTest('graphqlRequest maps errors[] to ApiError and honours on401', async () => {
+  const { createApiClient, graphqlRequest, graphqlKey, isApiError } = require('../index.js');
+  const client = createApiClient();
+  const bodies = [];
+  client.axiosClient.request = async (config) => {
+    bodies.push(config.data);
+    if (config.data.operationName === 'Me') { return { status: 200, data: { data: null, errors: [{ message: 'Not signed in', extensions: { code: 'UNAUTHENTICATED' } }] } }; }
+    if (config.data.operationName === 'Broken') { return { status: 200, data: { data: { a: 1 }, errors: [{ message: 'boom', path: ['b'] }] } }; }
+    return { status: 200, data: { data: { todos: [{ id: 1 }] } } };
+  };
+  const data = await graphqlRequest('query Todos($done: Boolean) { todos(done: $done) { id } }', { done: false }, { client });
+  assertEqual(data.todos[0].id, 1, 'Should resolve with the data field');
+  assertEqual(bodies[0].operationName, 'Todos', 'Operation name should be sent');
+  assertEqual(typeof bodies[0].query, 'string', 'Query document should be sent');
+  try {
+    await graphqlRequest('query Broken { a b }', null, { client });
+    throw new Error('Should have thrown');
+  } catch (error) {
+    assert(isApiError(error), 'GraphQL errors should become ApiErrors');
+    assertEqual(error.message, '200: boom', 'Message should keep the status prefix format');
+    assertEqual(error.graphQLErrors[0].path[0], 'b', 'Original errors should be attached');
+    assertEqual(error.body.data.a, 1, 'Partial data should stay available');
+  }
+  assertEqual(await graphqlRequest('query Me { me { id } }', null, { client, on401: 'returnNull' }), null, 'UNAUTHENTICATED should follow on401');
+  try {
+    await graphqlRequest('query Me { me { id } }', null, { client });
+    throw new Error('Should have thrown');
+  } catch (error) {
+    assertEqual(error.status, 401, 'UNAUTHENTICATED should map to 401');
+  }
+  assertEqual(JSON.stringify(graphqlKey('query Todos { todos { id } }', { done: true })), '["graphql","Todos",{"done":true}]', 'Keys should use operation name and variables');
+  assert(graphqlKey('{ todos { id } }')[1].startsWith('anonymous:'), 'Anonymous operations should get a hashed name');
+});
+
+runTest('getOperationInfo reads the first top-level operation after fragments', async () => {
+  const { getOperationInfo, graphqlKey } = require('../lib/graphql.js');
+  const doc = `
+    # query Commented { x }
+    fragment Fields on Todo { id query subscription }
+    mutation AddTodo($input: TodoInput = { title: "query X" }) { addTodo(input: $input) { ...Fields } }
+  `;
+  const info = getOperationInfo(doc);
+  assertEqual(info.type, 'mutation', 'Fragment fields named query must not decide the operation type');
+  assertEqual(info.name, 'AddTodo', 'Name should come from the operation definition');
+  assertEqual(graphqlKey(doc, {})[1], 'AddTodo', 'Cache keys should use the operation name');
+  assertEqual(getOperationInfo('{ me { query } }').type, 'query', 'Shorthand documents are anonymous queries');
+});
+
+runTest('graphqlRequest uses the operation selected by operationName', async () => {
+  const { createApiClient, createMemoryStorage } = require('../index.js');
+  const { graphqlRequest, graphqlKey, getOperationInfo } = require('../lib/graphql.js');
+  const doc = 'query ListTodos { todos { id } } mutation AddTodo($t: String) { addTodo(title: $t) { id } }';
+  assertEqual(getOperationInfo(doc, 'AddTodo').type, 'mutation', 'Named operation should decide the type');
+  assertEqual(getOperationInfo(doc).name, 'ListTodos', 'Without a name the first operation is used');
+  assertEqual(graphqlKey(doc, {}, 'AddTodo')[1], 'AddTodo', 'Keys should follow the selected operation');
+  const client = createApiClient({ offlineQueue: { storage: createMemoryStorage(), autoReplay: false } });
+  client.axiosClient.request = async () => { const e = new Error('Network Error'); e.isAxiosError = true; throw e; };
+  const queued = await graphqlRequest(doc, { t: 'x' }, { client, operationName: 'AddTodo', retry: false });
+  assert(queued && queued.queued, 'A selected mutation should follow the offline queue setting');
+  const read = await graphqlRequest(doc, null, { client, operationName: 'ListTodos', retry: false }).catch((err) => err);
+  assert(read.isNetworkError, 'A selected query should still fail fast');
+  client.offlineQueue.dispose();
+});
+
+runTest('useGraphQLQuery and useGraphQLMutation share the client cache', async () => {
+  const { createApiClient, useGraphQLQuery, useGraphQLMutation } = require('../index.js');
+  const client = createApiClient();
+  let todos = [{ id: 1 }];
+  client.axiosClient.request = async (config) => {
+    if (config.data.operationName === 'AddTodo') { todos = [...todos, { id: config.data.variables.id }]; return { status: 200, data: { data: { addTodo: { id: config.data.variables.id } } } }; }
+    return { status: 200, data: { data: { todos } } };
+  };
+  const settle = () => TestRenderer.act(async () => { await new Promise(r => setTimeout(r, 20)); });
+  const { result } = renderHook(() => ({
+    query: useGraphQLQuery('query Todos { todos { id } }', {}, { client }),
+    add: useGraphQLMutation('mutation AddTodo($id: Int!) { addTodo(id: $id) { id } }', { client, invalidates: ['Todos'] })
+  }));
+  await settle();
+  assertEqual(result.current.query.data.todos.length, 1, 'Query hook should load data');
+  await TestRenderer.act(async () => { await result.current.add.mutateAsync({ id: 2 }); });
+  await settle();
+  assertEqual(result.current.query.data.todos.length, 2, 'Invalidated operations should refetch');
+  assert(client.queryClient.getQueryData(['graphql', 'Todos', {}]), 'Data should be cached under the operation key');
+});
+
+runTest('useEventSource reconnects with backoff, resumes from Last-Event-ID and writes the cache', async () => {
+  const { createApiClient, useEventSource } = require('../index.js');
+  const client = createApiClient();
+  const sources = [];
+  class FakeEventSource { // records listeners so the test can push events
+    constructor(url, init) { this.url = url; this.init = init; this.listeners = {}; this.closed = false; sources.push(this); }
+    addEventListener(type, fn) { this.listeners[type] = fn; }
+    removeEventListener(type) { delete this.listeners[type]; }
+    close() { this.closed = true; }
+    emit(type, data, id) { this.listeners[type]({ data: JSON.stringify(data), lastEventId: id }); }
+  }
+  const received = [];
+  const { result, unmount } = renderHook(() => useEventSource('/api/stream', {
+    EventSource: FakeEventSource,
+    withCredentials: true,
+    events: { note: (data) => received.push(data) },
+    cache: { counter: { queryKey: ['/api/counter'], update: (old = 0, data) => old + data.by } },
+    reconnect: { baseDelay: 5, jitter: false },
+    client
+  }));
+  const act = (fn) => TestRenderer.act(async () => { fn(); await new Promise(r => setTimeout(r, 15)); });
+  assertEqual(sources.length, 1, 'Should open one stream');
+  assertEqual(sources[0].init.withCredentials, true, 'withCredentials should be passed through');
+  await act(() => sources[0].onopen());
+  assertEqual(result.current.status, 'open', 'Status should be open');
+  await act(() => { sources[0].emit('note', { text: 'hi' }, '1'); sources[0].emit('counter', { by: 2 }, '2'); });
+  assertEqual(received[0].text, 'hi', 'Named handlers should receive parsed data');
+  assertEqual(client.queryClient.getQueryData(['/api/counter']), 2, 'Cache rules should update query data');
+  assertEqual(result.current.lastEventId, '2', 'Last event id should be tracked');
+  await act(() => sources[0].onerror(new Error('dropped')));
+  assert(sources[0].closed, 'Failed stream should be closed');
+  assertEqual(sources.length, 2, 'Should reconnect after the backoff delay');
+  assertEqual(sources[1].url, '/api/stream?lastEventId=2', 'Reconnect should resume from the last event id');
+  assertEqual(sources[1].init.headers['Last-Event-ID'], '2', 'Polyfills should receive the Last-Event-ID header');
+  unmount();
+  assert(sources[1].closed, 'Unmount should close the stream');
+  assertEqual(Object.keys(sources[1].listeners).length, 0, 'Unmount should remove listeners');
+});
+
+runTest('useEventSource starts a new stream without the previous stream\'s last event id', async () => {
+  const { useEventSource } = require('../index.js');
+  const sources = [];
+  class FakeEventSource {
+    constructor(url, init) { this.url = url; this.init = init; this.listeners = {}; sources.push(this); }
+    addEventListener(type, fn) { this.listeners[type] = fn; }
+    removeEventListener(type) { delete this.listeners[type]; }
+    close() {}
+  }
+  const { result, rerender, unmount } = renderHook(({ url }) => useEventSource(url, { EventSource: FakeEventSource }), { url: '/api/stream/a' });
+  await TestRenderer.act(async () => { sources[0].listeners.message({ data: '"x"', lastEventId: '41' }); });
+  assertEqual(result.current.lastEventId, '41', 'First stream should track its id');
+  rerender({ url: '/api/stream/b' });
+  assertEqual(sources[1].url, '/api/stream/b', 'New stream should not carry the old lastEventId param');
+  assertEqual(sources[1].init.headers, undefined, 'New stream should not send the old Last-Event-ID header');
+  assertEqual(result.current.lastEventId, null, 'Exposed id should reset with the stream');
+  unmount();
+});
+
+runTest('useSocket config form joins rooms, routes events and shares the connection with useSocketEvent', async () => {
+  const { useSocket, useSocketEvent } = require('../index.js');
+  const sockets = [];
+  const fakeIo = (url, opts) => { // minimal socket.io-client stand-in
+    const handlers = {};
+    const socket = {
+      url, opts, emitted: [], disconnected: false,
+      on: (name, fn) => { (handlers[name] = handlers[name] || []).push(fn); },
+      off: (name, fn) => { handlers[name] = (handlers[name] || []).filter((h) => h !== fn); },
+      emit: (...args) => { socket.emitted.push(args); },
+      disconnect: () => { socket.disconnected = true; },
+      trigger: (name, payload) => (handlers[name] || []).forEach((h) => h(payload)),
+      count: (name) => (handlers[name] || []).length
+    };
+    sockets.push(socket);
+    return socket;
+  };
+  const orders = [];
+  const notes = [];
+  const { result, unmount } = renderHook(() => {
+    useSocketEvent('note', (payload) => notes.push(payload), { url: 'http://rt.local', auth: { token: 't' } }); // child-style listener registered before the connection exists
+    return useSocket({ url: 'http://rt.local', auth: { token: 't' }, rooms: ['orders', 'team-1'], leaveEvent: 'unsubscribe', events: { orderPlaced: (o) => orders.push(o) }, io: fakeIo });
+  });
+  await TestRenderer.act(async () => { await new Promise(r => setTimeout(r, 5)); });
+  assertEqual(sockets.length, 1, 'Should open one connection');
+  assertEqual(sockets[0].opts.auth.token, 't', 'Auth should be passed to io');
+  assertEqual(JSON.stringify(sockets[0].emitted), JSON.stringify([['subscribe', 'orders'], ['subscribe', 'team-1']]), 'Rooms should be joined with the subscribe event');
+  await TestRenderer.act(async () => { sockets[0].trigger('connect'); sockets[0].trigger('orderPlaced', { id: 1 }); sockets[0].trigger('note', 'hi'); });
+  assert(result.current.connected, 'Connected state should follow the socket');
+  assertEqual(orders[0].id, 1, 'Event handlers should receive payloads');
+  assertEqual(notes[0], 'hi', 'useSocketEvent should listen on the shared connection');
+  unmount();
+  assert(sockets[0].disconnected, 'Unmount should disconnect');
+  assertEqual(sockets[0].count('orderPlaced') + sockets[0].count('note'), 0, 'Unmount should remove listeners');
+  assert(sockets[0].emitted.some(([name, room]) => name === 'unsubscribe' && room === 'orders'), 'Rooms should be left when leaveEvent is set');
+});
+
+runTest('socketManager shares ref-counted connections, re-joins rooms and reports status', async () => {
+  const { useSocket, useSocketStatus } = require('../index.js');
+  const sockets = [];
+  const fakeIo = (url, opts) => {
+    const handlers = {};
+    const socket = {
+      url, opts, emitted: [], disconnected: false,
+      on: (name, fn) => { (handlers[name] = handlers[name] || []).push(fn); },
+      off: (name, fn) => { handlers[name] = (handlers[name] || []).filter((h) => h !== fn); },
+      emit: (...args) => { socket.emitted.push(args); },
+      disconnect: () => { socket.disconnected = true; },
+      trigger: (name, payload) => (handlers[name] || []).forEach((h) => h(payload))
+    };
+    sockets.push(socket);
+    return socket;
+  };
+  const config = { url: 'http://shared.local', rooms: ['board'], io: fakeIo };
+  const first = renderHook(() => useSocket(config));
+  const second = renderHook(() => ({ conn: useSocket({ ...config, rooms: ['board', 'chat'] }), status: useSocketStatus({ url: 'http://shared.local' }) }));
+  await TestRenderer.act(async () => { await new Promise(r => setTimeout(r, 5)); });
+  assertEqual(sockets.length, 1, 'Consumers with the same url and auth should share one socket');
+  assertEqual(sockets[0].emitted.filter(([, room]) => room === 'board').length, 1, 'Shared rooms should be joined once');
+  assertEqual(second.result.current.status, 'connecting', 'Status should start as connecting');
+  await TestRenderer.act(async () => { sockets[0].trigger('connect'); });
+  assertEqual(second.result.current.status, 'connected', 'Status hook should report connected');
+  assert(first.result.current.connected, 'useSocket should expose connected');
+  await TestRenderer.act(async () => { sockets[0].trigger('disconnect', 'transport close'); });
+  assertEqual(second.result.current.status, 'reconnecting', 'Transport drops should report reconnecting');
+  sockets[0].emitted = [];
+  await TestRenderer.act(async () => { sockets[0].trigger('connect'); });
+  assertEqual(JSON.stringify(sockets[0].emitted), JSON.stringify([['subscribe', 'board'], ['subscribe', 'chat']]), 'Rooms should be re-joined after reconnect');
+  first.unmount();
+  assert(!sockets[0].disconnected, 'Socket should stay open while consumers remain');
+  second.unmount();
+  assert(sockets[0].disconnected, 'Last consumer should disconnect the socket');
+});
+
+runTest('socket cache rules replace, reduce, append and invalidate query data', async () => {
+  const { useSocket, createApiClient, bindSocketToCache } = require('../index.js');
+  const sockets = [];
+  const fakeIo = (url, opts) => {
+    const handlers = {};
+    const socket = {
+      url, opts, emitted: [],
+      on: (name, fn) => { (handlers[name] = handlers[name] || []).push(fn); },
+      off: (name, fn) => { handlers[name] = (handlers[name] || []).filter((h) => h !== fn); },
+      emit: (...args) => { socket.emitted.push(args); },
+      disconnect: () => {},
+      trigger: (name, payload) => (handlers[name] || []).forEach((h) => h(payload)),
+      count: (name) => (handlers[name] || []).length
+    };
+    sockets.push(socket);
+    return socket;
+  };
+  const client = createApiClient();
+  const { queryClient } = client;
+  queryClient.setQueryData(['/api/messages'], [{ id: 1, text: 'a' }]);
+  queryClient.setQueryData(['/api/orders'], ['o1']);
+  const { result, unmount } = renderHook(() => useSocket('u-1', { usageQueryKey: ['/api/usage'], client, cache: {}, io: fakeIo }));
+  const generic = renderHook(() => useSocket({
+    url: 'http://cache.local', io: fakeIo, client,
+    cache: {
+      counter: { queryKey: ['/api/counter'], update: (old = 0, payload) => old + payload.by },
+      message: { queryKey: ['/api/messages'], append: true, idKey: 'id', max: 2 },
+      orderChanged: [{ queryKey: (payload) => ['/api/orders', payload.id] }, { queryKey: ['/api/orders'], invalidate: true }]
+    }
+  }));
+  await TestRenderer.act(async () => { await new Promise(r => setTimeout(r, 5)); });
+  const usageSocket = sockets.find((socket) => socket.url !== 'http://cache.local');
+  const cacheSocket = sockets.find((socket) => socket.url === 'http://cache.local');
+  await TestRenderer.act(async () => { usageSocket.trigger('usageUpdate', { used: 7 }); });
+  assertEqual(queryClient.getQueryData(['/api/usage']).used, 7, 'usageUpdate should replace the usage query');
+  assertEqual(result.current.usageUpdate.used, 7, 'Preset state should still be updated');
+  await TestRenderer.act(async () => {
+    cacheSocket.trigger('counter', { by: 2 });
+    cacheSocket.trigger('counter', { by: 3 });
+    cacheSocket.trigger('message', { id: 1, text: 'edited' });
+    cacheSocket.trigger('message', [{ id: 2, text: 'b' }, { id: 3, text: 'c' }]);
+    cacheSocket.trigger('orderChanged', { id: 'o1', state: 'paid' });
+  });
+  assertEqual(queryClient.getQueryData(['/api/counter']), 5, 'Reducers should receive the cached value');
+  assertEqual(JSON.stringify(queryClient.getQueryData(['/api/messages']).map((m) => m.text)), '["b","c"]', 'Append should update by id and keep at most max items');
+  assertEqual(queryClient.getQueryData(['/api/orders', 'o1']).state, 'paid', 'Key functions should pick the entry from the payload');
+  assert(queryClient.getQueryState(['/api/orders']).isInvalidated, 'Invalidate rules should mark the list stale');
+  unmount();
+  generic.unmount();
+  assertEqual(cacheSocket.count('message'), 0, 'Unmount should remove cache listeners');
+
+  const plain = fakeIo('http://plain.local', {});
+  const unbind = bindSocketToCache(plain, { ping: { queryKey: ['ping'] } }, queryClient);
+  plain.trigger('ping', 'pong');
+  assertEqual(queryClient.getQueryData(['ping']), 'pong', 'bindSocketToCache should write outside React');
+  unbind();
+  assertEqual(plain.count('ping'), 0, 'Unbinding should remove listeners');
+});
+
+runTest('usePaymentSocket subscribes only once a user id exists', async () => {
+  const { usePaymentSocket } = require('../index.js');
+  const sockets = [];
+  const fakeIo = (url, opts) => {
+    const handlers = {};
+    const socket = {
+      url, opts, emitted: [],
+      on: (name, fn) => { (handlers[name] = handlers[name] || []).push(fn); },
+      off: (name, fn) => { handlers[name] = (handlers[name] || []).filter((h) => h !== fn); },
+      emit: (...args) => { socket.emitted.push(args); },
+      disconnect: () => {},
+      trigger: (name, payload) => (handlers[name] || []).forEach((h) => h(payload))
+    };
+    sockets.push(socket);
+    return socket;
+  };
+  const { rerender, unmount } = renderHook(({ userId }) => usePaymentSocket(userId, { url: 'http://payments.local', io: fakeIo }), { userId: undefined });
+  await TestRenderer.act(async () => { sockets[0].trigger('connect'); });
+  assertEqual(sockets[0].emitted.filter(([name]) => name === 'subscribe').length, 0, 'No subscribe should be sent without a user id');
+  await TestRenderer.act(async () => { rerender({ userId: 'u-7' }); });
+  const subscribes = sockets[sockets.length - 1].emitted.filter(([name]) => name === 'subscribe');
+  assertEqual(JSON.stringify(subscribes.map(([, id]) => id)), '["u-7"]', 'Subscribe should follow once the id is known');
+  unmount();
+});
+
+runTest('useSocket emit buffers while disconnected and resolves acknowledgements', async () => {
+  const { useSocket, isSocketError, executeWithErrorToast } = require('../index.js');
+  const sockets = [];
+  const fakeIo = (url, opts) => {
+    const handlers = {};
+    const socket = {
+      url, opts, emitted: [],
+      on: (name, fn) => { (handlers[name] = handlers[name] || []).push(fn); },
+      off: (name, fn) => { handlers[name] = (handlers[name] || []).filter((h) => h !== fn); },
+      emit: (...args) => { socket.emitted.push(args); },
+      disconnect: () => {},
+      trigger: (name, payload) => (handlers[name] || []).forEach((h) => h(payload))
+    };
+    sockets.push(socket);
+    return socket;
+  };
+  const { result, unmount } = renderHook(() => useSocket({ url: 'http://emit.local', io: fakeIo }));
+  await TestRenderer.act(async () => { await new Promise(r => setTimeout(r, 5)); });
+  const socket = sockets[0];
+  const first = result.current.emit('chat', { n: 1 });
+  const second = result.current.emit('chat', { n: 2 }, { ack: true });
+  assertEqual(socket.emitted.length, 0, 'Emits should be buffered before connecting');
+  const offline = await result.current.emit('typing', null, { buffer: false }).catch((err) => err);
+  assertEqual(offline.code, 'NOT_CONNECTED', 'buffer: false should reject while disconnected');
+  await TestRenderer.act(async () => { socket.trigger('connect'); });
+  assertEqual(JSON.stringify(socket.emitted.map(([name, payload]) => payload.n)), '[1,2]', 'Buffered emits should flush in order');
+  await first;
+  socket.emitted[1][2]({ ok: true, id: 'm2' }); // server acknowledgement
+  assertEqual((await second).id, 'm2', 'Ack promise should resolve with the server response');
+  const toasts = [];
+  const failed = await executeWithErrorToast(() => result.current.emit('slow', {}, { ack: true, timeout: 10 }), (t) => toasts.push(t), 'Send failed').catch((err) => err);
+  assert(isSocketError(failed) && failed.isTimeout, 'Missing acks should reject with a timeout SocketError');
+  assertEqual(toasts[0].description, failed.message, 'Toast helpers should show the timeout message');
+  await TestRenderer.act(async () => { socket.trigger('disconnect', 'transport close'); });
+  const pending = result.current.emit('chat', { n: 3 });
+  unmount();
+  const closed = await pending.catch((err) => err);
+  assertEqual(closed.code, 'SOCKET_CLOSED', 'Releasing the connection should reject buffered emits');
+});
+
+runTest('usePresence joins rooms, tracks members, typing and stale members', async () => {
+  const { usePresence, useSocket } = require('../index.js');
+  const sockets = [];
+  const fakeIo = (url, opts) => {
+    const handlers = {};
+    const socket = {
+      url, opts, emitted: [],
+      on: (name, fn) => { (handlers[name] = handlers[name] || []).push(fn); },
+      off: (name, fn) => { handlers[name] = (handlers[name] || []).filter((h) => h !== fn); },
+      emit: (...args) => { socket.emitted.push(args); },
+      disconnect: () => {},
+      trigger: (name, payload) => (handlers[name] || []).forEach((h) => h(payload))
+    };
+    sockets.push(socket);
+    return socket;
+  };
+  const wait = (ms) => TestRenderer.act(async () => { await new Promise(r => setTimeout(r, ms)); });
+  const opts = { url: 'http://presence.local', io: fakeIo, user: { id: 'u1', name: 'Ann' }, heartbeatInterval: 30, staleAfter: 70, typingTimeout: 40 };
+  const keepAlive = renderHook(() => useSocket({ url: 'http://presence.local', io: fakeIo })); // another consumer keeps the socket open after unmount
+  const { result, unmount } = renderHook(() => usePresence('doc-1', opts));
+  await wait(5);
+  const socket = sockets[0];
+  assertEqual(socket.emitted.length, 0, 'Should wait for the connection before joining');
+  await TestRenderer.act(async () => { socket.trigger('connect'); });
+  const join = socket.emitted.find(([name]) => name === 'presence:join');
+  assertEqual(join[1].room, 'doc-1', 'Join should name the room');
+  await TestRenderer.act(async () => { join[2]([{ id: 'u1', name: 'Ann' }, { id: 'u2', name: 'Bob' }]); });
+  assertEqual(result.current.others.map((m) => m.name).join(','), 'Bob', 'Ack member list should fill others');
+  await TestRenderer.act(async () => {
+    socket.trigger('presence:joined', { room: 'doc-1', user: { id: 'u3', name: 'Cy' } });
+    socket.trigger('presence:joined', { room: 'doc-2', user: { id: 'u9', name: 'Elsewhere' } });
+    socket.trigger('presence:activity', { room: 'doc-1', userId: 'u2', activity: 'typing' });
+  });
+  assertEqual(result.current.members.length, 3, 'Joins in other rooms should be ignored');
+  assertEqual(result.current.typing[0].id, 'u2', 'Remote typing should be exposed');
+  await TestRenderer.act(async () => { socket.trigger('presence:left', { room: 'doc-1', userId: 'u3' }); result.current.setTyping(true); result.current.setTyping(true); });
+  assertEqual(result.current.members.length, 2, 'Left members should be removed');
+  assertEqual(socket.emitted.filter(([name, p]) => name === 'presence:activity' && p.activity === 'typing').length, 1, 'One typing event per burst');
+  await TestRenderer.act(async () => { await new Promise(r => setTimeout(r, 50)); socket.trigger('presence:heartbeat', { room: 'doc-1', userId: 'u2' }); });
+  assert(socket.emitted.some(([name, p]) => name === 'presence:activity' && p.activity === null), 'Typing should stop after the timeout');
+  assert(socket.emitted.some(([name]) => name === 'presence:heartbeat'), 'Heartbeats should be sent');
+  await wait(150);
+  assertEqual(result.current.others.length, 0, 'Silent members should be pruned');
+  assertEqual(result.current.members[0].id, 'u1', 'The current user stays listed');
+  socket.emitted = [];
+  await TestRenderer.act(async () => { socket.trigger('disconnect', 'transport close'); });
+  await TestRenderer.act(async () => { socket.trigger('connect'); });
+  assert(socket.emitted.some(([name]) => name === 'presence:join'), 'Room should be joined again after reconnect');
+  unmount();
+  assert(socket.emitted.some(([name, p]) => name === 'presence:leave' && p.userId === 'u1'), 'Unmount should leave the room');
+  keepAlive.unmount();
+});
+
+runTest('usePresence joins, heartbeats and leaves against a socket.io server', async () => {
+  const { Server } = require('socket.io');
+  const { usePresence } = require('../index.js');
+  const { server, url } = await startHttpServer();
+  const io = new Server(server);
+  const rooms = {}; // room -> Map(userId -> user)
+  const heartbeats = [];
+  const leave = (socket, room, userId) => {
+    if (!rooms[room] || !rooms[room].delete(userId)) { return; }
+    socket.leave(room);
+    socket.to(room).emit('presence:left', { room, userId });
+  };
+  io.on('connection', (socket) => { // minimal presence server following the documented protocol
+    socket.on('presence:join', ({ room, user }, ack) => {
+      rooms[room] = rooms[room] || new Map();
+      rooms[room].set(user.id, user);
+      socket.data.presence = { room, userId: user.id };
+      socket.join(room);
+      socket.to(room).emit('presence:joined', { room, user });
+      ack([...rooms[room].values()]);
+    });
+    socket.on('presence:heartbeat', ({ room, userId }) => { heartbeats.push(userId); socket.to(room).emit('presence:heartbeat', { room, userId }); });
+    socket.on('presence:leave', ({ room, userId }) => leave(socket, room, userId));
+    socket.on('disconnect', () => { if (socket.data.presence) { leave(socket, socket.data.presence.room, socket.data.presence.userId); } }); // closing the last consumer drops the socket before leave is sent
+  });
+  const until = async (check, message) => { // real sockets need real time
+    for (let i = 0; i < 100 && !check(); i++) { await TestRenderer.act(async () => { await new Promise(r => setTimeout(r, 20)); }); }
+    assert(check(), message);
+  };
+  const options = { url, heartbeatInterval: 40, staleAfter: 2000 };
+  const ann = renderHook(() => usePresence('doc-1', { ...options, auth: { token: 'ann' }, user: { id: 'u1', name: 'Ann' } }));
+  const bob = renderHook(() => usePresence('doc-1', { ...options, auth: { token: 'bob' }, user: { id: 'u2', name: 'Bob' } }));
+  try {
+    await until(() => ann.result.current.joined && bob.result.current.joined, 'Both users should join once connected');
+    await until(() => bob.result.current.others.some((m) => m.name === 'Ann'), 'The join acknowledgement should list existing members');
+    await until(() => ann.result.current.others.some((m) => m.name === 'Bob'), 'presence:joined should add the new member');
+    await until(() => heartbeats.includes('u1') && heartbeats.includes('u2'), 'Heartbeats should reach the server');
+    bob.unmount();
+    await until(() => ann.result.current.others.length === 0, 'Leaving should remove the member for others');
+    ann.unmount();
+    await until(() => rooms['doc-1'].size === 0, 'The server should see every member leave');
+  } finally {
+    ann.unmount();
+    bob.unmount();
+    await new Promise((done) => io.close(() => done())); // also closes the HTTP server
+  }
+});
+
+runTest('defaultPageAdapter infers cursor, page and offset strategies', () => {
+  const { defaultPageAdapter } = require('../index.js');
+  const ctx = { pageParam: {}, pageSize: 2, strategy: 'page', paramNames: { page: 'page', offset: 'offset', cursor: 'cursor', limit: 'limit' } };
+  assertEqual(JSON.stringify(defaultPageAdapter({ items: [1, 2], nextCursor: 'c2' }, ctx).next), '{"cursor":"c2"}', 'Cursor responses should page by cursor');
+  assertEqual(defaultPageAdapter({ items: [1], nextCursor: null }, ctx).next, null, 'Missing cursor ends the list');
+  assertEqual(JSON.stringify(defaultPageAdapter({ data: [1, 2], page: 1, totalPages: 3 }, ctx).next), '{"page":2}', 'Page responses should advance the page');
+  assertEqual(JSON.stringify(defaultPageAdapter({ results: [1, 2], offset: 0, total: 5 }, ctx).next), '{"offset":2}', 'Offset responses should advance the offset');
+  assertEqual(defaultPageAdapter({ results: [5], offset: 4, total: 5 }, ctx).next, null, 'Offset reaching total ends the list');
+  assertEqual(JSON.stringify(defaultPageAdapter([1, 2], ctx).next), '{"page":2}', 'Full bare arrays fall back to the strategy');
+  assertEqual(defaultPageAdapter([1], ctx).next, null, 'Short bare arrays end the list');
+});
+
+runTest('useInfiniteList stops at a full cursor page ending with nextCursor null', async () => {
+  const { createApiClient, useInfiniteList, defaultPageAdapter } = require('../index.js');
+  const ctx = { pageParam: {}, pageSize: 2, strategy: 'page', paramNames: { page: 'page', offset: 'offset', cursor: 'cursor', limit: 'limit' } };
+  assertEqual(defaultPageAdapter({ items: [1, 2], nextCursor: null }, ctx).next, null, 'Null cursor on a full page ends the list');
+  assertEqual(defaultPageAdapter({ items: [1, 2], next_cursor: null }, ctx).next, null, 'Null next_cursor on a full page ends the list');
+  const client = createApiClient();
+  const urls = [];
+  client.axiosClient.request = async (config) => { urls.push(config.url); return { status: 200, data: { items: ['a', 'b'], nextCursor: null } }; };
+  const { result } = renderHook(() => useInfiniteList('/api/cursor-feed', { pageSize: 2, client }));
+  await TestRenderer.act(async () => { await new Promise(r => setTimeout(r, 20)); });
+  assertEqual(result.current.hasMore, false, 'A cursor API without a next cursor has no more pages');
+  await TestRenderer.act(async () => { result.current.loadMore(); await new Promise(r => setTimeout(r, 20)); });
+  assertEqual(urls.length, 1, 'No page-number request should follow the last cursor page');
+});
+
+runTest('usePaginatedQuery keeps adapted pages apart from raw query entries', async () => {
+  const { createApiClient, usePaginatedQuery } = require('../index.js');
+  const client = createApiClient();
+  client.axiosClient.request = async () => ({ status: 200, data: { items: ['a'], nextCursor: null } });
+  const rawKey = ['/api/rows', { size: 5 }];
+  client.queryClient.setQueryData(rawKey, { raw: true }); // what useQuery with the default getQueryFn stores for the same request
+  const { result } = renderHook(() => usePaginatedQuery('/api/rows', { pageSize: 5, paramNames: { limit: 'size' }, client }));
+  await TestRenderer.act(async () => { await new Promise(r => setTimeout(r, 20)); });
+  assertEqual(result.current.items.join(','), 'a', 'Paginated hook should load its own page');
+  assertEqual(client.queryClient.getQueryData(rawKey).raw, true, 'Raw entry for the same request should stay untouched');
+  assertEqual(client.queryClient.getQueryData([...rawKey, 'paginated']).items[0], 'a', 'Key should use the limit param name and a paginated marker');
+});
+
+runTest('useInfiniteList appends pages and loads more from the sentinel', async () => {
+  const { createApiClient, useInfiniteList, usePaginatedQuery } = require('../index.js');
+  const client = createApiClient();
+  const urls = [];
+  client.axiosClient.request = async (config) => { // cursor API with three items
+    urls.push(config.url);
+    const cursor = new URL(config.url, 'http://x').searchParams.get('cursor');
+    return { status: 200, data: cursor ? { items: ['c'], nextCursor: null } : { items: ['a', 'b'], nextCursor: 'n1' } };
+  };
+  const observed = [];
+  const originalObserver = global.IntersectionObserver;
+  global.IntersectionObserver = class { constructor(cb) { this.cb = cb; observed.push(this); } observe() {} disconnect() {} }; // capture sentinel observer
+  const settle = () => TestRenderer.act(async () => { await new Promise(r => setTimeout(r, 20)); });
+  const { result } = renderHook(() => useInfiniteList(['/api/feed', { q: 'x' }], { pageSize: 2, client }));
+  await settle();
+  assertEqual(result.current.items.join(','), 'a,b', 'First page should load');
+  assert(result.current.hasMore, 'Should report more pages');
+  TestRenderer.act(() => { result.current.sentinelRef({}); }); // attach sentinel element
+  await TestRenderer.act(async () => { observed[0].cb([{ isIntersecting: true }]); await new Promise(r => setTimeout(r, 20)); });
+  assertEqual(result.current.items.join(','), 'a,b,c', 'Sentinel should append the next page');
+  assertEqual(result.current.hasMore, false, 'Null cursor should end the list');
+  assertEqual(urls[1], '/api/feed?cursor=n1&limit=2&q=x', 'Cursor should be merged into the query string');
+  global.IntersectionObserver = originalObserver;
+
+  const { result: paged } = renderHook(() => usePaginatedQuery('/api/feed', { pageSize: 2, client }));
+  await settle();
+  assertEqual(paged.current.pageIndex, 0, 'Should start at first page');
+  TestRenderer.act(() => { paged.current.nextPage(); });
+  await settle();
+  assertEqual(paged.current.items.join(','), 'c', 'nextPage should load the following page');
+  assert(paged.current.hasPrevious && !paged.current.hasMore, 'Should track position in the page stack');
+  TestRenderer.act(() => { paged.current.previousPage(); });
+  await settle();
+  assertEqual(paged.current.items.join(','), 'a,b', 'previousPage should return to cached page');
+});
+
+runTest('uploadFile sends multipart bodies with progress', async () => {
+  const { createApiClient, uploadFile } = require('../index.js');
+  const client = createApiClient();
+  let sent;
+  client.axiosClient.request = async (config) => {
+    sent = config;
+    config.onUploadProgress({ loaded: 2, total: 4 });
+    return { status: 201, data: { id: 'f1' } };
+  };
+  const progress = [];
+  const result = await uploadFile('/api/files', new Blob(['abcd']), { client, fields: { folder: 'docs' }, onProgress: (p) => progress.push(p) });
+  assertEqual(result.id, 'f1', 'Should resolve server response');
+  assert(sent.data instanceof FormData, 'Body should be FormData');
+  assertEqual(sent.data.get('folder'), 'docs', 'Extra fields should be appended');
+  assertEqual(sent.headers['Content-Type'], 'multipart/form-data', 'Should override JSON content type');
+  assertEqual(progress.join(','), '50,100', 'Should report percent progress');
+});
+
+runTest('uploadFile chunked protocol resumes after a failed chunk', async () => {
+  const { createApiClient, uploadFile } = require('../index.js');
+  const client = createApiClient({ retry: false });
+  const stored = {}; // uploadId -> received bytes, like an Express stand-in
+  const calls = [];
+  let failNextPut = true;
+  client.axiosClient.request = async (config) => {
+    calls.push(`${config.method} ${config.url}`);
+    if (config.url === '/api/uploads/init') { stored.u1 = 0; return { status: 200, data: { uploadId: 'u1' } }; }
+    if (config.method === 'GET') { return { status: 200, data: { received: stored.u1 } }; }
+    if (config.url.endsWith('/complete')) { return { status: 200, data: { done: true, size: stored.u1 } }; }
+    const [, start, end] = /bytes (\d+)-(\d+)\//.exec(config.headers['Content-Range']);
+    if (Number(start) === 4 && failNextPut) { // second chunk fails once
+      failNextPut = false;
+      const error = new Error('Network Error'); error.isAxiosError = true; throw error;
+    }
+    stored.u1 = Number(end) + 1;
+    return { status: 200, data: { received: stored.u1 } };
+  };
+  const file = new Blob(['0123456789']);
+  let uploadId;
+  try {
+    await uploadFile('/api/uploads', file, { client, chunked: true, chunkSize: 4, onUploadId: (id) => { uploadId = id; } });
+    throw new Error('Should have thrown');
+  } catch (error) {
+    assert(error.isNetworkError, 'Failed chunk should surface');
+  }
+  const progress = [];
+  const result = await uploadFile('/api/uploads', file, { client, chunkSize: 4, uploadId, onProgress: (p) => progress.push(p) });
+  assertEqual(result.size, 10, 'Resumed upload should complete');
+  assert(calls.includes('GET /api/uploads/u1'), 'Resume should ask the server for received bytes');
+  assertEqual(calls.filter(c => c === 'PUT /api/uploads/u1').length, 4, 'Only missing chunks should be resent after resume');
+  assertEqual(progress[0], 40, 'Progress should start from stored bytes');
+  assertEqual(progress[progress.length - 1], 100, 'Progress should finish at 100');
+});
+
+runTest('uploadFile multipart and chunk protocol work against an Express server', async () => {
+  const express = require('express');
+  const { createApiClient, uploadFile } = require('../index.js');
+  const app = express();
+  const uploads = {}; // uploadId -> { size, data }
+  const ranges = [];
+  const drops = [null, 'before', 'after']; // per PUT: lose the connection before or after storing the chunk
+  app.post('/api/files', express.raw({ type: 'multipart/form-data', limit: '1mb' }), (req, res) => {
+    const body = req.body.toString('latin1');
+    res.status(201).json({ contentType: req.headers['content-type'], hasFolder: body.includes('name="folder"\r\n\r\ndocs'), hasFile: body.includes('name="file"; filename="notes.txt"') && body.includes('x'.repeat(1000)) });
+  });
+  app.post('/api/uploads/init', express.json(), (req, res) => { uploads.u1 = { size: req.body.size, data: Buffer.alloc(0) }; res.json({ uploadId: 'u1' }); });
+  app.get('/api/uploads/:id', (req, res) => res.json({ received: uploads[req.params.id].data.length }));
+  app.put('/api/uploads/:id', express.raw({ type: 'application/octet-stream' }), (req, res) => {
+    const upload = uploads[req.params.id];
+    const [, start, end, size] = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(req.headers['content-range']).map(Number);
+    ranges.push(`${start}-${end}/${size}`);
+    const drop = drops[ranges.length - 1];
+    if (drop === 'before') { req.socket.destroy(); return; } // network failure mid upload
+    if (start !== upload.data.length || end - start + 1 !== req.body.length) { res.status(416).json({ received: upload.data.length }); return; } // stale resume offsets are rejected
+    upload.data = Buffer.concat([upload.data, req.body]);
+    if (drop === 'after') { req.socket.destroy(); return; } // chunk stored but the response is lost
+    res.json({ received: upload.data.length });
+  });
+  app.post('/api/uploads/:id/complete', (req, res) => res.json({ size: uploads[req.params.id].data.length, content: uploads[req.params.id].data.toString() }));
+  const { url, close } = await startHttpServer(app);
+  try {
+    const client = useRealHttp(createApiClient({ retry: false, cache: true }), url); // cache on so resume status reads must bypass it
+    const progress = [];
+    const multipart = await uploadFile('/api/files', new File(['x'.repeat(1000)], 'notes.txt'), { client, fields: { folder: 'docs' }, onProgress: (p, info) => progress.push(info.loaded) });
+    assert(/^multipart\/form-data; boundary=/.test(multipart.contentType), 'Multipart bodies should carry a boundary');
+    assert(multipart.hasFolder && multipart.hasFile, 'Fields and file should be encoded as form parts');
+    assert(progress.length >= 2 && progress[0] > 0, 'Upload progress should come from the transport before completion');
+
+    const file = new Blob(['0123456789']);
+    let uploadId;
+    const failed = await uploadFile('/api/uploads', file, { client, chunked: true, chunkSize: 4, onUploadId: (id) => { uploadId = id; } }).catch((err) => err);
+    assert(failed.isNetworkError, 'A dropped connection should fail the upload');
+    const again = await uploadFile('/api/uploads', file, { client, chunkSize: 4, uploadId }).catch((err) => err);
+    assert(again.isNetworkError, 'A lost chunk response should fail the first resume');
+    const chunkProgress = [];
+    const result = await uploadFile('/api/uploads', file, { client, chunkSize: 4, uploadId, onProgress: (p) => chunkProgress.push(p) });
+    assertEqual(result.content, '0123456789', 'Server should assemble the chunks in order');
+    assertEqual(ranges.join(','), '0-3/10,4-7/10,4-7/10,8-9/10', 'Each resume should continue from the fresh server count');
+    assertEqual(chunkProgress[0], 80, 'Progress should start from stored bytes');
+  } finally {
+    await close();
+  }
+});
+
+runTest('useUpload tracks progress and cancels uploads', async () => {
+  const { createApiClient, useUpload } = require('../index.js');
+  const client = createApiClient();
+  client.axiosClient.request = (config) => new Promise((resolve, reject) => { // hangs until aborted
+    config.onUploadProgress({ loaded: 1, total: 4 });
+    config.signal.addEventListener('abort', () => { const e = new Error('canceled'); e.isAxiosError = true; e.code = 'ERR_CANCELED'; reject(e); });
+  });
+  const { result } = renderHook(() => useUpload('/api/files', { client }));
+  let pending;
+  await TestRenderer.act(async () => { pending = result.current.upload(new Blob(['abcd'])).catch((e) => e); await new Promise(r => setTimeout(r, 10)); });
+  assert(result.current.isUploading, 'Should be uploading');
+  assertEqual(result.current.progress, 25, 'Should expose progress');
+  let error;
+  await TestRenderer.act(async () => { result.current.cancel(); error = await pending; });
+  assert(error.isCanceled, 'Cancel should reject with a cancellation error');
+  assertEqual(result.current.isUploading, false, 'Should stop uploading after cancel');
+  assert(result.current.error && result.current.error.isCanceled, 'Error state should hold the cancellation');
+});
+
 // =============================================================================
 // ERROR HANDLING TESTS
 // =============================================================================